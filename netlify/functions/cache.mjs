@@ -0,0 +1,37 @@
+// netlify/functions/cache.mjs
+// Inspect / invalidate the persistent match-page cache (see netlify/lib/match-cache.mjs).
+//   GET                          -> { ok, backend, version, entries }
+//   POST { matchIds:[...] }      -> drop those matches (ids or match URLs)
+//   POST { all:true }            -> drop everything
+// POSTs need the admin secret (netlify/lib/auth.mjs).
+
+import { connectStore } from "../lib/store.mjs";
+import { matchCacheStats, invalidateMatches, clearMatchCache } from "../lib/match-cache.mjs";
+import { errorEnvelope, errorStatus } from "../lib/http.mjs";
+import { adminRequired } from "../lib/auth.mjs";
+
+const resp = (code, obj) => ({ statusCode: code, headers:{ "content-type":"application/json" }, body: JSON.stringify(obj) });
+
+export async function handler(event){
+  connectStore(event);
+  try{
+    if (event.httpMethod === "GET") return resp(200, { ok:true, ...(await matchCacheStats()) });
+    if (event.httpMethod !== "POST") return resp(400, { ok:false, error:"GET or POST required" });
+    const denied = adminRequired(event);
+    if (denied) return resp(denied.status, { ok:false, error: denied.error, code: denied.code });
+
+    let body = {};
+    try{ body = JSON.parse(event.body || "{}"); }
+    catch{ return resp(400, { ok:false, error:"Bad JSON" }); }
+
+    if (body.all === true) return resp(200, { ok:true, removed: await clearMatchCache() });
+
+    const ids = (Array.isArray(body.matchIds) ? body.matchIds : [])
+      .map(v => String(v).match(/(\d+)\/?$/)?.[1] ?? String(v).match(/\/match\/(\d+)/)?.[1])
+      .filter(Boolean);
+    if (!ids.length) return resp(400, { ok:false, error:"Provide { matchIds:[...] } or { all:true }" });
+    return resp(200, { ok:true, removed: await invalidateMatches(ids) });
+  }catch(e){
+    return resp(errorStatus(e), { ok:false, ...errorEnvelope(e) });
+  }
+}
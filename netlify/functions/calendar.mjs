@@ -1,89 +1,112 @@
 // netlify/functions/calendar.mjs
-// Return Top-5 domestic league match URLs for a given date window.
-// Used as a fast fallback when discover returns zero.
+// Return league match URLs (default: Top-5 domestic leagues) for a given date window.
+// Also used by discover.mjs as a fallback when player/team pages yield zero matches
+// (getMatches filtered to the player's team), and by upcoming.mjs for the fixtures ahead.
+
+import { resolveSeasonConfig } from "../../public/lib/seasons.js";
+import { classifyStatus } from "../lib/match-status.mjs";
+import { fetchJSON, errorEnvelope, errorStatus, httpMetrics, resetHttpMetrics } from "../lib/http.mjs";
 
-const TOP5_LEAGUE_IDS = new Set([47, 87, 54, 55, 53]); // PL, LaLiga, Bundesliga, Serie A, Ligue 1
 const BASE = "https://www.fotmob.com/api/matches?date=";
 const EXTRA = "&timezone=UTC";
 
-const UA =
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36";
-const HDRS = {
-  accept: "application/json",
-  "accept-language": "en-GB,en;q=0.9",
-  "user-agent": UA,
-  referer: "https://www.fotmob.com/",
-};
+const FETCH_TO_MS = 5000;
+const BUDGET_MS   = 9000;  // the handler stops starting new days after this
+
+// Finished days never change: keep them for the life of a warm function instance
+const DAY_CACHE = new Map(); // yyyymmdd -> [{ matchId, leagueId, leagueName, iso, homeId, awayId, homeName, awayName, status }]
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-function yyyymmdd(d){const y=d.getUTCFullYear();const m=String(d.getUTCMonth()+1).padStart(2,"0");const day=String(d.getUTCDate()).padStart(2,"0");return `${y}${m}${day}`;}
+const asNum = (v) => Number.isFinite(Number(v)) && v !== null && v !== "" ? Number(v) : null;
+function toISO(v){ if(!v) return null; const d = new Date(v); return isNaN(d) ? null : d.toISOString(); }
+export function yyyymmdd(d){const y=d.getUTCFullYear();const m=String(d.getUTCMonth()+1).padStart(2,"0");const day=String(d.getUTCDate()).padStart(2,"0");return `${y}${m}${day}`;}
 function* dateRangeUTC(from,to){const c=new Date(Date.UTC(from.getUTCFullYear(),from.getUTCMonth(),from.getUTCDate()));const e=new Date(Date.UTC(to.getUTCFullYear(),to.getUTCMonth(),to.getUTCDate()));for(;c<=e;c.setUTCDate(c.getUTCDate()+1)) yield new Date(c);}
 
-async function fetchJSON(url, retry=2){
-  let last;
-  for(let i=0;i<=retry;i++){
-    try{
-      const res = await fetch(url, { headers: HDRS });
-      const txt = await res.text();
-      if(!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText} :: ${txt?.slice(0,200)||""}`);
-      return JSON.parse(txt);
-    }catch(e){ last=e; await sleep(250+300*i); }
+async function getDay(key, deadline){
+  if(DAY_CACHE.has(key)) return DAY_CACHE.get(key);
+  const data = await fetchJSON(`${BASE}${key}${EXTRA}`, { timeout_ms: FETCH_TO_MS, deadline });
+  const list = [];
+  for(const lg of data?.leagues ?? []){
+    const lid = asNum(lg?.primaryId);
+    for(const m of lg?.matches ?? []){
+      const id = asNum(m?.id);
+      if(!id) continue;
+      list.push({ matchId:id, leagueId:lid, leagueName:lg?.name || null, iso:toISO(m?.status?.utcTime),
+                  homeId:asNum(m?.home?.id), awayId:asNum(m?.away?.id), homeName:m?.home?.name || null, awayName:m?.away?.name || null,
+                  status:classifyStatus(m?.status) });
+    }
   }
-  throw last || new Error("fetch failed");
+  if(key < yyyymmdd(new Date()) && !list.some(m => m.status === "live")) DAY_CACHE.set(key, list);
+  return list;
 }
 
-async function getMatches(fromStr,toStr,concurrency=2){
+// opts: concurrency, deadline (epoch ms; days not reached are reported, not fetched),
+//       teamIds (Set: keep only fixtures involving one of them), newestFirst
+export async function getMatches(fromStr,toStr,leagueIds,opts={}){
+  const { concurrency=2, deadline=Infinity, teamIds=null, newestFirst=false } = opts;
   const fromUTC = new Date(Date.UTC(+fromStr.slice(0,4), +fromStr.slice(4,6)-1, +fromStr.slice(6,8)));
   const toUTC   = new Date(Date.UTC(+toStr.slice(0,4), +toStr.slice(4,6)-1, +toStr.slice(6,8)));
   const dates = Array.from(dateRangeUTC(fromUTC,toUTC));
-  let idx=0;
-  const ids = new Set();
+  if(newestFirst) dates.reverse();
+  let idx=0, scanned=0;
+  const byId = new Map();
   const fails = [];
 
   async function worker(){
-    while(idx<dates.length){
+    while(idx<dates.length && Date.now() < deadline){
       const i = idx++;
       const d = dates[i];
       const key = yyyymmdd(d);
       try{
-        const data = await fetchJSON(`${BASE}${key}${EXTRA}`);
-        for(const lg of data?.leagues ?? []){
-          const lid = Number(lg?.primaryId);
-          if(!TOP5_LEAGUE_IDS.has(lid)) continue;
-          for(const m of lg?.matches ?? []){
-            const id = String(m?.id ?? "").trim();
-            if(id) ids.add(id);
-          }
+        for(const m of await getDay(key, deadline)){
+          if(!leagueIds.has(m.leagueId)) continue;
+          if(teamIds && !(teamIds.has(m.homeId) || teamIds.has(m.awayId))) continue;
+          byId.set(m.matchId, m);
         }
+        scanned += 1;
       }catch(e){
-        if(fails.length<6) fails.push({ date:key, error:String(e).slice(0,200) });
+        if(fails.length<6) fails.push({ date:key, error:String(e.message || e).slice(0,200), code:e.code || "internal" });
       }
     }
   }
   await Promise.all(Array.from({length:Math.min(concurrency, dates.length)}, worker));
-  return { urls: Array.from(ids).map(id => `https://www.fotmob.com/match/${id}`), fails };
+  const matches = Array.from(byId.values());
+  return {
+    matches,
+    urls: matches.map(m => `https://www.fotmob.com/match/${m.matchId}`),
+    fails,
+    days_total: dates.length,
+    days_scanned: scanned
+  };
 }
 
 export async function handler(event){
+  resetHttpMetrics();
   try{
     let payload = {};
     if(event.httpMethod === "POST"){
       try{ payload = JSON.parse(event.body||"{}"); }
       catch{ return { statusCode:400, headers:{ "content-type":"application/json" }, body: JSON.stringify({ error:"Invalid JSON body" }) }; }
     }else{
-      payload = { from: event.queryStringParameters?.from, to: event.queryStringParameters?.to };
+      const qp = event.queryStringParameters || {};
+      payload = { from: qp.from, to: qp.to, season: qp.season, leagues: qp.leagues, team_id: qp.team_id };
     }
 
-    const fromStr = payload.from || "20250701";
+    let cfg;
+    try{ cfg = resolveSeasonConfig({ season: payload.season, leagues: payload.leagues }); }
+    catch(e){ return { statusCode:400, headers:{ "content-type":"application/json" }, body: JSON.stringify({ error:String(e.message || e) }) }; }
+
+    const fromStr = payload.from || yyyymmdd(cfg.start);
     const now = new Date();
-    const toDefault = yyyymmdd(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())));
+    const toDefault = yyyymmdd(now < cfg.end ? now : cfg.end);
     const toStr = payload.to || toDefault;
 
-    const { urls, fails } = await getMatches(fromStr, toStr, 2);
+    const teamId = asNum(payload.team_id);
+    const { matches, urls, fails, days_total, days_scanned } = await getMatches(fromStr, toStr, cfg.leagueIds,
+      { concurrency:2, deadline: Date.now() + BUDGET_MS, teamIds: teamId ? new Set([teamId]) : null });
 
     return { statusCode:200, headers:{ "content-type":"application/json" },
-      body: JSON.stringify({ ok:true, match_urls: urls, debug:{ window_from:fromStr, window_to:toStr, failed_days:fails } }) };
+      body: JSON.stringify({ ok:true, match_urls: urls, match_status: Object.fromEntries(matches.map(m => [String(m.matchId), m.status])), debug:{ window_from:fromStr, window_to:toStr, season:cfg.season, leagues:cfg.leagues, team_id:teamId, failed_days:fails, days_total, days_scanned, http:httpMetrics() } }) };
   }catch(e){
-    return { statusCode:500, headers:{ "content-type":"application/json" }, body: JSON.stringify({ error:String(e) }) };
+    return { statusCode:errorStatus(e), headers:{ "content-type":"application/json" }, body: JSON.stringify({ ok:false, ...errorEnvelope(e) }) };
   }
 }
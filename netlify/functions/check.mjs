@@ -1,25 +1,26 @@
 // =============================
-// netlify/functions/check.mjs  (UNCHANGED from your last working version)
+// netlify/functions/check.mjs
 // =============================
-// Leaves discovery, POTM, FMP, assists, league/season filters, fixture key, and UI contract unchanged.
+// One match page -> per-player POTM, rating, goals/penalties/assists/cards, minutes and attacking stats, with the
+// league/season filters and fixture key. Counted stats come from the stats block, then events, facts and the
+// shotmap (stat_sources says which). POST { matchUrl, playerId | playerName }, or a batch as { pairs } / { players }.
 
-const TOP5_LEAGUE_IDS_C = new Set([47, 87, 54, 55, 53]); // PL, LaLiga, Bundesliga, Serie A, Ligue 1
-const SEASON_START_C = new Date(Date.UTC(2025, 6, 1));                // 2025-07-01
-const SEASON_END_C   = new Date(Date.UTC(2026, 5, 30, 23, 59, 59));   // 2026-06-30
-const NOW_C          = new Date();
+import { resolveSeasonConfig, inSeasonPast, competitionType } from "../../public/lib/seasons.js";
+import { connectStore } from "../lib/store.mjs";
+import { getCachedMatch } from "../lib/match-cache.mjs";
+import { matchStatusOf } from "../lib/match-status.mjs";
+import { errorEnvelope, errorStatus, httpMetrics, resetHttpMetrics } from "../lib/http.mjs";
+import { loadMatch, nextDataFromHtml } from "../lib/sources.mjs";
+
+export { nextDataFromHtml };
+
+const BUDGET_MS_C = 9000; // batch mode stops starting new matches after this
+const FETCH_TO_MS_C = 6000;
 
 const nz = (v, d) => (v === null || v === undefined ? d : v);
 const asNumC = (v) => Number.isFinite(Number(v)) ? Number(v) : null;
 const clampInt = (v) => Number.isFinite(v) ? Math.max(0, Math.trunc(v)) : 0;
 
-const UA_C = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36";
-const HDRS_C = {
-  accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-  "user-agent": UA_C,
-  referer: "https://www.fotmob.com/",
-  "accept-language": "en-GB,en;q=0.9"
-};
-
 const respC = (code, obj) => ({ statusCode: code, headers: { "content-type": "application/json" }, body: JSON.stringify(obj) });
 
 function toISOC(v){
@@ -32,24 +33,13 @@ function toISOC(v){
   const d = new Date(v);
   return isNaN(d) ? null : d.toISOString();
 }
-function inSeasonC(iso){
-  if(!iso) return false;
-  const d = new Date(iso);
-  return d >= SEASON_START_C && d <= SEASON_END_C && d <= NOW_C;
-}
 
-async function fetchTextC(url){
-  const r = await fetch(url, { headers: HDRS_C, redirect: "follow" });
-  const html = await r.text();
-  if(!r.ok) throw new Error(`HTTP ${r.status} ${r.statusText}`);
-  if(!html) throw new Error("Empty HTML");
-  return { html, finalUrl: r.url || url };
+// Parsed __NEXT_DATA__ for a match (JSON API or page, see sources.mjs), served from the match cache once
+// the fixture is finished -> { next, cached, source }
+async function loadMatchNextC(matchUrl, refresh, deadline){
+  const matchId = (matchUrl.match(/\/match\/(\d+)/) || [])[1] || null;
+  return getCachedMatch(matchId, () => loadMatch(matchId, { timeout_ms: FETCH_TO_MS_C, deadline }), { refresh });
 }
-function nextDataStrC(html){
-  const m = html.match(/<script[^>]*id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/i);
-  return m ? m[1] : null;
-}
-function safeJSONC(s){ try{ return JSON.parse(s); }catch{ return null; } }
 
 function* walkC(root){
   const stack=[root], seen=new Set();
@@ -75,8 +65,8 @@ function mkFixtureKey(leagueId, iso, hId, aId, hName, aName){
 }
 
 // ---------- FotMob general / potm / player node ----------
-function extractGeneral(root){
-  let leagueId=null, leagueName=null, iso=null, title=null, mid=null;
+export function extractGeneral(root){
+  let leagueId=null, parentLeagueId=null, leagueName=null, iso=null, title=null, mid=null;
   let hId=null, aId=null, hName=null, aName=null;
 
   const setTeams = (g)=>{
@@ -90,6 +80,7 @@ function extractGeneral(root){
     const g = node?.general || node?.overview?.general || node?.match?.general || null;
     if(!g) continue;
     leagueId   = (leagueId!==null && leagueId!==undefined) ? leagueId : asNumC(g.leagueId || g.tournamentId || g.competitionId);
+    parentLeagueId = parentLeagueId || asNumC(g.parentLeagueId) || null;
     leagueName = leagueName || (g.leagueName || g.tournamentName || g.competitionName || g?.league?.name || g?.tournament?.name || g?.competition?.name);
     iso        = iso || toISOC(g.matchTimeUTC || g.startTimeUTC || g?.kickoff?.utc || g.dateUTC);
     title      = title || (g.pageTitle || g.matchName || g.title);
@@ -103,10 +94,11 @@ function extractGeneral(root){
   if(!mid){
     for(const node of walkC(root)){ if(asNumC(node?.matchId)){ mid=asNumC(node.matchId); break; } }
   }
-  return { leagueId, leagueName, iso, title, matchId: mid, hId, aId, hName, aName };
+  return { leagueId, parentLeagueId, leagueName, iso, title, matchId: mid, hId, aId, hName, aName };
 }
 
-function extractPOTM(root){
+// The top-rated fallback only applies to finished matches (a live top rating is not a POTM)
+export function extractPOTM(root, finished = true){
   for(const node of walkC(root)){
     const potm = node?.playerOfTheMatch || node?.potm || node?.manOfTheMatch;
     if(potm && (potm.id || potm.playerId || potm.name)){
@@ -117,6 +109,7 @@ function extractPOTM(root){
     }
   }
   // fallback: best finished rating
+  if(!finished) return null;
   let best=null;
   for(const node of walkC(root)){
     if(!node?.rating) continue;
@@ -135,7 +128,7 @@ function extractPOTM(root){
   return best;
 }
 
-function findPlayerNode(root, playerId, playerName){
+export function findPlayerNode(root, playerId, playerName){
   const targetName = normName(playerName||'');
   let exactById=null, bestByName=null, withMinutes=null;
   for(const node of walkC(root)){
@@ -156,7 +149,8 @@ function findPlayerNode(root, playerId, playerName){
 }
 
 function extractStatsFromStatsBlocks(node){
-  const acc = { goals:null, penalty_goals:null, assists:null, yellow_cards:null, red_cards:null, minutes_played:null, rating:null };
+  const acc = { goals:null, penalty_goals:null, assists:null, yellow_cards:null, red_cards:null, minutes_played:null, rating:null,
+                shots:null, shots_on_target:null, xg:null, xa:null, key_passes:null, big_chances_created:null };
   if(!node) return acc;
   if(Number.isFinite(Number(node.minutesPlayed))) acc.minutes_played = Number(node.minutesPlayed);
   if(node?.rating && node.rating.num!=null && Number.isFinite(Number(node.rating.num))) acc.rating = Number(node.rating.num);
@@ -166,7 +160,8 @@ function extractStatsFromStatsBlocks(node){
     for(const lab of labels){
       for(const section of node.stats){
         const m = section?.stats?.[lab];
-        const v = (m && (m.stat && m.stat.value)) || (m && m.value) || m;
+        if(m===null || m===undefined) continue;
+        const v = (typeof m === 'object') ? (m.stat ? m.stat.value : m.value) : m;
         if(v!=null) return Number(v);
       }
     }
@@ -179,6 +174,12 @@ function extractStatsFromStatsBlocks(node){
   const ast    = pick(["Assists","Total assists"]);
   const yc     = pick(["Yellow cards","Yellow Cards","YC","Yellow Card","Bookings"]);
   const rc     = pick(["Red cards","Red Cards","RC","Red Card","Dismissals"]);
+  const shots  = pick(["Total shots","Shots","Shots total"]);
+  const sot    = pick(["Shots on target","Shots on Target","On target"]);
+  const xg     = pick(["Expected goals (xG)","Expected goals","xG"]);
+  const xa     = pick(["Expected assists (xA)","Expected assists","xA"]);
+  const kp     = pick(["Chances created","Key passes","Key Passes"]);
+  const bcc    = pick(["Big chances created","Big Chances Created"]);
 
   if(Number.isFinite(rating)) acc.rating = rating;
   if(Number.isFinite(mins))   acc.minutes_played = mins;
@@ -187,12 +188,68 @@ function extractStatsFromStatsBlocks(node){
   if(Number.isFinite(ast))    acc.assists = ast;
   if(Number.isFinite(yc))     acc.yellow_cards = yc;
   if(Number.isFinite(rc))     acc.red_cards = rc;
+  if(Number.isFinite(shots))  acc.shots = shots;
+  if(Number.isFinite(sot))    acc.shots_on_target = sot;
+  if(Number.isFinite(xg))     acc.xg = xg;
+  if(Number.isFinite(xa))     acc.xa = xa;
+  if(Number.isFinite(kp))     acc.key_passes = kp;
+  if(Number.isFinite(bcc))    acc.big_chances_created = bcc;
 
   return acc;
 }
 
+// Starter or bench from the lineup arrays ("starters"/"subs"/"bench"); null when the player isn't listed
+export function extractLineupRole(root, playerId, playerName){
+  const tName = normName(playerName||'');
+  const isMe = (p)=>{
+    const id = asNumC(p?.id || p?.playerId);
+    const nm = (p?.name && (p.name.fullName || p.name)) || null;
+    if(playerId && id === playerId) return true;
+    return !playerId && !!nm && typeof nm === 'string' && normName(nm) === tName;
+  };
+  for(const node of walkC(root)){
+    for(const [k, arr] of Object.entries(node||{})){
+      if(!Array.isArray(arr) || !arr.length) continue;
+      const lk = String(k).toLowerCase();
+      const role = /^(starters|startingxi|starting|lineup)$/.test(lk) ? 'starter'
+                 : /^(subs|substitutes|bench)$/.test(lk) ? 'sub' : null;
+      if(role && arr.some(isMe)) return role;
+    }
+  }
+  return null;
+}
+
+// Club the player turned out for: the stats node's teamId, else the lineup side that lists them
+export function extractPlayerTeam(root, playerNode, playerId, playerName){
+  const own = asNumC(playerNode?.teamId ?? playerNode?.team?.id);
+  if(own) return own;
+  const tName = normName(playerName||'');
+  const isMe = (p)=>{
+    const id = asNumC(p?.id || p?.playerId);
+    const nm = (p?.name && (p.name.fullName || p.name)) || null;
+    if(playerId && id === playerId) return true;
+    return !playerId && !!nm && typeof nm === 'string' && normName(nm) === tName;
+  };
+  for(const node of walkC(root)){
+    const side = asNumC(node?.id ?? node?.teamId);
+    if(!side) continue;
+    for(const k of ['starters', 'subs', 'bench', 'substitutes', 'players']){
+      if(Array.isArray(node[k]) && node[k].some(isMe)) return side;
+    }
+  }
+  return null;
+}
+
 // ---------- EVENTS & FALLBACKS (with dedup + sane clamps) ----------
-function extractFromEvents(root, playerId, playerName){
+// Card/penalty/own-goal words must stand alone: "rc" not in "Marcus", "red" not in "scored", "pen" not in "open play"
+const hasWordC = (s, words) => new RegExp(`(^|[^a-z])(${words})($|[^a-z])`).test(s);
+const isPenTextC = (s) => s.includes('penalt') || hasWordC(s, 'pen');
+const isSecondYellowTextC = (s) => s.includes('second yellow') || /yellow\s*-?\s*red/.test(s);
+const isYellowTextC = (s) => hasWordC(s, 'yellow|yellowcard|yc') && !isSecondYellowTextC(s);
+const isRedTextC = (s) => hasWordC(s, 'red|redcard|rc') || isSecondYellowTextC(s);
+const isOwnGoalTextC = (s) => hasWordC(s, 'own|owngoal|og');
+
+export function extractFromEvents(root, playerId, playerName){
   const acc = { goals:0, penalty_goals:0, assists:0, yellow_cards:0, red_cards:0 };
   const tName = normName(playerName||'');
 
@@ -207,6 +264,13 @@ function extractFromEvents(root, playerId, playerName){
            num(e?.min) ??
            null;
   };
+  // 90+2 and 90+9 share minute 90; the added minutes keep id-less events apart
+  const addedOf = (e)=>{
+    return num(e?.overloadTime) ??
+           num(e?.addedTime) ??
+           num(e?.injuryTime) ??
+           null;
+  };
   const secondOf = (e)=>{
     return num(e?.second) ??
            num(e?.clock?.second) ??
@@ -232,7 +296,7 @@ function extractFromEvents(root, playerId, playerName){
     const s = [
       e?.period, e?.phase, e?.stage, e?.description, e?.detail, e?.subType, e?.result
     ].map(val).join('|');
-    return /shoot-?out|penalty shootout|penalties shootout/.test(s);
+    return /shoot-?out|penalty shootout|penalties shootout/.test(s) || e?.isPenaltyShootoutEvent === true;
   };
 
   const matchByPlayer = (e)=>{
@@ -259,16 +323,14 @@ function extractFromEvents(root, playerId, playerName){
   };
   const isOwnGoal = (e) => {
     const s = [e?.detail, e?.subType, e?.scoringType, e?.goalType, e?.description, e?.result].map(val).join('|');
-    return s.includes('own') || s.includes('og') || e?.isOwnGoal === true;
+    return isOwnGoalTextC(s) || e?.isOwnGoal === true || e?.ownGoal === true;
   };
   const isPenaltyGoal = (e) => {
     const s = [
-      e?.type, e?.eventType, e?.scoringType, e?.goalType, e?.detail, e?.subType, e?.situation, e?.description,
-      e?.shotType && e.shotType.name, e?.code, e?.result
+      e?.type, e?.eventType, e?.scoringType, e?.goalType, e?.goalDescription, e?.goalDescriptionKey, e?.detail, e?.subType,
+      e?.situation, e?.description, e?.shotType && e.shotType.name, e?.code, e?.result
     ].map(val).join('|');
-    return s.includes('penalty') || s.includes(' pen') || s.includes('pen ') || s.includes('pen_') ||
-           s.includes('from penalty') || s.includes('penalty kick') || s.includes('penaltykick') ||
-           s.includes('penaltyscored') || e?.isPenalty === true || e?.penalty === true;
+    return isPenTextC(s) || e?.isPenalty === true || e?.penalty === true;
   };
 
   const isYellow = (e) => {
@@ -278,7 +340,7 @@ function extractFromEvents(root, playerId, playerName){
       e?.type, e?.eventType, e?.key, e?.card, e?.cardType, e?.kind, e?.incidentType, e?.description, e?.color, e?.code,
       e?.detail, e?.subType, cardColor
     ].map(val).join('|');
-    return s.includes('yellow') || s.includes('yellowcard') || s.includes('yc');
+    return isYellowTextC(s);
   };
   const isRed = (e) => {
     const cardObj = e?.card || e?.booking || e?.bookingCard || null;
@@ -287,7 +349,7 @@ function extractFromEvents(root, playerId, playerName){
       e?.type, e?.eventType, e?.key, e?.card, e?.cardType, e?.kind, e?.incidentType, e?.description, e?.color, e?.code,
       e?.detail, e?.subType, cardColor
     ].map(val).join('|');
-    return s.includes('red') || s.includes('redcard') || s.includes('rc') || s.includes('second yellow');
+    return isRedTextC(s);
   };
 
   const eventId = (e)=>{
@@ -299,7 +361,7 @@ function extractFromEvents(root, playerId, playerName){
     );
   };
   const goalKey = (e, isPen)=>{
-    const m = nz(minuteOf(e), -1);
+    const m = `${nz(minuteOf(e), -1)}+${nz(addedOf(e), 0)}`;
     const s = nz(secondOf(e), -1);
     const pid = nz(playerIdOf(e), -1);
     const nm  = normName(playerNameOf(e));
@@ -308,13 +370,13 @@ function extractFromEvents(root, playerId, playerName){
     return id ? `G#${id}` : `G|m${m}|s${s}|p${pid}|n:${nm}|pen:${isPen?'1':'0'}|sd:${side}`;
   };
   const cardKey = (e, kind)=>{
-    const m = nz(minuteOf(e), -1);
+    const m = `${nz(minuteOf(e), -1)}+${nz(addedOf(e), 0)}`;
     const s = nz(secondOf(e), -1);
     const pid = nz(playerIdOf(e), -1);
     const nm  = normName(playerNameOf(e));
     const side = sideOf(e);
     const id = eventId(e);
-    return id ? `C#${id}` : `C|${kind}|m${m}|s${s}|p${pid}|n:${nm}|sd:${side}`;
+    return id ? `C#${id}|${kind}` : `C|${kind}|m${m}|s${s}|p${pid}|n:${nm}|sd:${side}`;
   };
 
   // flatten & dedup across all event-like arrays
@@ -324,6 +386,7 @@ function extractFromEvents(root, playerId, playerName){
       if(Array.isArray(valArr) && valArr.length){
         const e0 = valArr[0];
         const lk = String(k).toLowerCase();
+        if(/shot/.test(lk)) continue; // shotmaps repeat the goals under other ids (extractFromShotmap reads them)
         if(
           /event|timeline|incident|card|goal|booking|bookings/.test(lk) ||
           (e0 && typeof e0==='object' && ('type' in e0 || 'eventType' in e0 || 'card' in e0 || 'result' in e0 || 'assist' in e0 || 'player' in e0))
@@ -336,6 +399,7 @@ function extractFromEvents(root, playerId, playerName){
 
   const seenGoals = new Set();
   const seenCards = new Set();
+  const seenAssists = new Set();
   let sawSecondYellowText = false;
 
   for(const arr of arrays){
@@ -370,7 +434,11 @@ function extractFromEvents(root, playerId, playerName){
         if(!scorerIsMe){
           const meById = (playerId && aIds.some(id => id===playerId));
           const meByName = (!playerId && aNames.some(nm => nm && normName(nm)===tName));
-          if(meById || meByName) acc.assists += 1;
+          const k = goalKey(e, isPenaltyGoal(e));   // the same goal can sit in more than one events array
+          if((meById || meByName) && !seenAssists.has(k)){
+            seenAssists.add(k);
+            acc.assists += 1;
+          }
         }
       }
 
@@ -389,8 +457,8 @@ function extractFromEvents(root, playerId, playerName){
             seenCards.add(k);
             acc.red_cards += 1;
           }
-          const det = String(nz(e.detail,'') + ' ' + nz(e.description,'')).toLowerCase();
-          if(det.includes('second yellow')) sawSecondYellowText = true;
+          const det = [e.detail, e.description, e.card, e.cardType].map(val).join(' ');
+          if(isSecondYellowTextC(det)) sawSecondYellowText = true;
         }
       }
     }
@@ -402,7 +470,7 @@ function extractFromEvents(root, playerId, playerName){
 }
 
 // Fallback just for cards if timeline is sparse (facts/bookings/cards blocks)
-function extractCardsFromFacts(root, playerId, playerName){
+export function extractCardsFromFacts(root, playerId, playerName){
   const out = { yellow:0, red:0 };
   const tName = normName(playerName||'');
 
@@ -418,8 +486,8 @@ function extractCardsFromFacts(root, playerId, playerName){
     const cardColor = cardObj && (cardObj.color || cardObj.type || cardObj.name) ? String(cardObj.color || cardObj.type || cardObj.name).toLowerCase() : '';
     const raw = (obj && (obj.cardType || obj.color || obj.type || obj.code || obj.description || obj.detail)) ? String(obj.cardType || obj.color || obj.type || obj.code || obj.description || obj.detail).toLowerCase() : '';
     const all = (cardColor + '|' + raw);
-    if(all.includes('yellow') || all.includes('yellowcard') || all.includes('yc')) return 'yellow';
-    if(all.includes('red')    || all.includes('redcard')    || all.includes('rc') || all.includes('second yellow')) return 'red';
+    if(isYellowTextC(all)) return 'yellow';
+    if(isRedTextC(all))    return 'red';
     return null;
   };
 
@@ -444,7 +512,7 @@ function extractCardsFromFacts(root, playerId, playerName){
 }
 
 // Shotmap fallback for goals/penalties
-function extractFromShotmap(root, playerId, playerName){
+export function extractFromShotmap(root, playerId, playerName){
   const acc = { goals:0, penalty_goals:0 };
   const tName = normName(playerName||'');
 
@@ -459,22 +527,50 @@ function extractFromShotmap(root, playerId, playerName){
     for(const sh of node.shotmap){
       if(!sh || typeof sh!=='object') continue;
       const result = String(nz(sh.result,'')).toLowerCase();
-      const goal = sh.isGoal === true || result==='goal';
+      const goal = sh.isGoal === true || result==='goal' || String(nz(sh.eventType,'')).toLowerCase()==='goal';
       const desc = String(nz(sh.description,'')).toLowerCase();
       const sit  = String(nz(sh.situation,'')).toLowerCase();
       const stn  = String(nz(sh?.shotType?.name,'')).toLowerCase();
-      const pen  = sh.isPenalty === true || sit.includes('pen') || stn.includes('pen') || desc.includes('penalty');
-      const own  = sh.isOwnGoal === true || desc.includes('own');
+      const pen  = sh.isPenalty === true || isPenTextC(sit) || isPenTextC(stn) || desc.includes('penalty');
+      const own  = sh.isOwnGoal === true || isOwnGoalTextC(desc);
       if(goal && !own){ acc.goals += 1; if(pen) acc.penalty_goals += 1; }
     }
   }
   return acc;
 }
 
+// ---------- Per-stat provenance ----------
+// Which blocks the page has for this player. A block that is missing is no evidence;
+// a block that is there and shows 0 disagrees with a block that shows 1.
+function sourcesOnPageC(root, playerId, playerName){
+  const on = { events:false, shotmap:false, facts:false };
+  const tName = normName(playerName||'');
+  for(const node of walkC(root)){
+    if(Array.isArray(node?.shotmap)){
+      const id = asNumC(node?.id || node?.playerId);
+      const name = node?.name?.fullName || node?.name || null;
+      if((playerId && id===playerId) || (!playerId && name && normName(name)===tName)) on.shotmap = true;
+    }
+    if(Array.isArray(node?.events) && node.events.length) on.events = true;
+    if((Array.isArray(node?.cards) && node.cards.length) || (Array.isArray(node?.bookings) && node.bookings.length)) on.facts = true;
+  }
+  return on;
+}
+
+// { value, source, values:{ <source>: n }, disputed[, note] } — values only lists sources present on the page
+function provenanceC(value, source, values, note){
+  const seen = Object.fromEntries(Object.entries(values).filter(([,v]) => Number.isFinite(v)));
+  const out = { value, source, values: seen, disputed: new Set(Object.values(seen)).size > 1 };
+  if(note) out.note = note;
+  return out;
+}
+
 // ---------- Build per match ----------
-function buildResult({ matchUrl, general, potm, playerNode, playerId, playerName, next }){
+export function buildResult({ matchUrl, general, status, potm, playerNode, playerId, playerName, next, cfg }){
   const league_id   = asNumC(general.leagueId);
   const league_name = general.leagueName || null;
+  // Cup rounds and European stages/qualifiers have their own league id under the competition's parent id
+  const competition_id = asNumC(general.parentLeagueId) || league_id;
   const iso         = general.iso || null;
 
   const base = extractStatsFromStatsBlocks(playerNode);
@@ -489,22 +585,51 @@ function buildResult({ matchUrl, general, potm, playerNode, playerId, playerName
   const ev = extractFromEvents(next, playerId, playerName);
   const sm = extractFromShotmap(next, playerId, playerName);
 
+  const facts = extractCardsFromFacts(next, playerId, playerName);
+  const on = sourcesOnPageC(next, asNumC(playerId), playerName);
+  const evOr = (v) => on.events ? v : null;
+
   let goals = Number.isFinite(goals_stat) ? goals_stat : (ev.goals || sm.goals || 0);
+  const goalsSrc = Number.isFinite(goals_stat) ? 'stats' : (ev.goals ? 'events' : (sm.goals ? 'shotmap' : 'default'));
   let pg = (ev.penalty_goals > 0 ? ev.penalty_goals : (sm.penalty_goals > 0 ? sm.penalty_goals : (Number.isFinite(pg_stat) ? pg_stat : 0)));
+  const pgSrc = ev.penalty_goals > 0 ? 'events' : (sm.penalty_goals > 0 ? 'shotmap' : (Number.isFinite(pg_stat) ? 'stats' : 'default'));
+  const pgCapped = pg > goals;
   if(pg > goals) pg = goals;
 
   let assists = ast || ev.assists || 0;
+  const astSrc = ast ? 'stats' : (ev.assists ? 'events' : (Number.isFinite(base.assists) ? 'stats' : 'default'));
 
-  const facts = extractCardsFromFacts(next, playerId, playerName);
   let yc = (ev.yellow_cards > 0 ? ev.yellow_cards : (facts.yellow > 0 ? facts.yellow : (Number.isFinite(yc_stat) ? yc_stat : 0)));
+  const ycSrc = ev.yellow_cards > 0 ? 'events' : (facts.yellow > 0 ? 'facts' : (Number.isFinite(yc_stat) ? 'stats' : 'default'));
   let rc = (ev.red_cards    > 0 ? ev.red_cards    : (facts.red    > 0 ? facts.red    : (Number.isFinite(rc_stat) ? rc_stat : 0)));
+  const rcSrc = ev.red_cards > 0 ? 'events' : (facts.red > 0 ? 'facts' : (Number.isFinite(rc_stat) ? 'stats' : 'default'));
+  const rcClamped = rc > 1;
   if(rc > 1) rc = 1;
 
+  // Where each counted stat came from, and what the other blocks on the page said
+  const stat_sources = {
+    goals:         provenanceC(clampInt(goals), goalsSrc, { stats: goals_stat, events: evOr(ev.goals), shotmap: on.shotmap ? sm.goals : null }),
+    penalty_goals: provenanceC(clampInt(pg), pgSrc, { stats: pg_stat, events: evOr(ev.penalty_goals), shotmap: on.shotmap ? sm.penalty_goals : null }, pgCapped ? 'capped at goals' : null),
+    assists:       provenanceC(clampInt(assists), astSrc, { stats: Number.isFinite(base.assists) ? base.assists : null, events: evOr(ev.assists) }),
+    yellow_cards:  provenanceC(clampInt(yc), ycSrc, { stats: yc_stat, events: evOr(ev.yellow_cards), facts: on.facts ? facts.yellow : null }),
+    red_cards:     provenanceC(clampInt(rc), rcSrc, { stats: rc_stat, events: evOr(ev.red_cards), facts: on.facts ? facts.red : null }, rcClamped ? 'clamped to 1' : null)
+  };
+
   const fmp = clampInt(mins) >= 90;
 
+  // Bench players with minutes came on; players missing from the lineup stay unknown (null)
+  const role = extractLineupRole(next, asNumC(playerId), playerName);
+  const started = role ? role === 'starter' : null;
+  const sub_appearance = role ? (role === 'sub' && clampInt(mins) > 0) : null;
+  const optNum = (v, dp) => Number.isFinite(v) ? (dp ? Number(v.toFixed(dp)) : clampInt(v)) : null;
+
   const pid = asNumC(playerId);
   const player_is_pom = !!potm && ((pid && potm.id && pid === potm.id) || (!pid && potm.name && normName(potm.name) === normName(playerName||'')));
 
+  const teamId = extractPlayerTeam(next, playerNode, pid, playerName);
+  const player_team_id = (teamId && (teamId === general.hId || teamId === general.aId)) ? teamId : null;
+  const player_team_name = player_team_id === null ? null : (player_team_id === general.hId ? general.hName : general.aName) || null;
+
   const fixture_key = mkFixtureKey(league_id, iso, general.hId, general.aId, general.hName, general.aName);
 
   return {
@@ -514,8 +639,12 @@ function buildResult({ matchUrl, general, potm, playerNode, playerId, playerName
     league_id,
     league_label: league_name,
     match_datetime_utc: iso,
-    league_allowed: (league_id !== null && league_id !== undefined) && TOP5_LEAGUE_IDS_C.has(league_id),
-    within_season_2025_26: !!iso && inSeasonC(iso),
+    competition_id,
+    competition_type: competition_id === null ? null : competitionType(competition_id),
+    league_allowed: [league_id, competition_id].some(id => id !== null && id !== undefined && cfg.leagueIds.has(id)),
+    season: cfg.season,
+    within_season: !!iso && inSeasonPast(iso, cfg),
+    match_status: status || null,
 
     player_is_pom,
     player_rating: (rating!=null ? Number(rating) : null),
@@ -527,6 +656,8 @@ function buildResult({ matchUrl, general, potm, playerNode, playerId, playerName
     away_team_id: (general.aId !== undefined ? general.aId : null),
     away_team_name: general.aName || null,
     fixture_key,
+    player_team_id,
+    player_team_name,
 
     player_stats: {
       goals: clampInt(goals),
@@ -534,14 +665,81 @@ function buildResult({ matchUrl, general, potm, playerNode, playerId, playerName
       assists: clampInt(assists),
       yellow_cards: clampInt(yc),
       red_cards: clampInt(rc),
-      full_match_played: !!fmp
+      full_match_played: !!fmp,
+      minutes_played: clampInt(mins),
+      started,
+      sub_appearance,
+      shots: optNum(base.shots),
+      shots_on_target: optNum(base.shots_on_target),
+      xg: optNum(base.xg, 2),
+      xa: optNum(base.xa, 2),
+      key_passes: optNum(base.key_passes),
+      big_chances_created: optNum(base.big_chances_created)
     },
+    stat_sources,
+    disputed_stats: Object.keys(stat_sources).filter(k => stat_sources[k].disputed),
     echo_player_name: (playerNode && playerNode.name && (playerNode.name.fullName || playerNode.name)) || playerName || null,
     source: "fotmob_html+events_dedup"
   };
 }
 
+// ---------- Match-centric checks ----------
+const matchIdOfC = (url) => (String(url||"").match(/\/match\/(\d+)/) || [])[1] || null;
+
+// The whole extraction pipeline for one parsed match page, no network: general + POTM once, then
+// per-player node/stats. test/check-extract.test.mjs runs it on saved pages.
+export function extractMatch(next, players, { matchUrl, cfg }){
+  const general = extractGeneral(next);
+  const status = matchStatusOf(next);
+  const potm = extractPOTM(next, status === null || status === "finished") || null;
+  return players.map(({ playerId, playerName }) => {
+    const node = (playerId || playerName) ? findPlayerNode(next, playerId||null, playerName||null) : null;
+    return { ...buildResult({ matchUrl, general, status, potm, playerNode: node, playerId, playerName, next, cfg }), player_id: playerId };
+  });
+}
+
+// One fetch/parse per match; data_source says which source (json/html/browser) served the match data
+async function checkMatchForPlayers(matchUrl, players, cfg, refresh, deadline){
+  const { next, cached, source } = await loadMatchNextC(matchUrl, refresh, deadline);
+  return extractMatch(next, players, { matchUrl, cfg }).map(r => ({ ...r, cached, data_source: source }));
+}
+
+// pairs: [{ matchUrl, playerId, playerName }] -> one result per pair, same order; a match that fails gives
+// its players { match_url, error, code, ... } rows (http.mjs errorEnvelope)
+export async function runBatch(pairs, cfg, refresh, deadline){
+  const results = new Array(pairs.length).fill(null);
+  const groups = new Map();
+  pairs.forEach((p, i) => {
+    const matchUrl = String(p?.matchUrl||"").trim();
+    const mid = matchIdOfC(matchUrl);
+    if(!mid){ results[i] = { match_url: matchUrl, error:"Provide matchUrl like https://www.fotmob.com/match/123456" }; return; }
+    if(!groups.has(mid)) groups.set(mid, { matchUrl, idx: [], players: [] });
+    const g = groups.get(mid);
+    g.idx.push(i);
+    g.players.push({ playerId: asNumC(p.playerId), playerName: String(p.playerName||"").trim() });
+  });
+
+  let fetched = 0, cachedHits = 0;
+  const sources = {};   // fetched matches per source
+  for(const g of groups.values()){
+    if(Date.now() > deadline){
+      for(const i of g.idx) results[i] = { match_url: g.matchUrl, error:"time budget exceeded" };
+      continue;
+    }
+    try{
+      const out = await checkMatchForPlayers(g.matchUrl, g.players, cfg, refresh, deadline);
+      if(out[0]?.cached) cachedHits += 1;
+      else { fetched += 1; sources[out[0]?.data_source] = (sources[out[0]?.data_source] || 0) + 1; }
+      g.idx.forEach((i, k) => { results[i] = out[k]; });
+    }catch(e){
+      for(const i of g.idx) results[i] = { match_url: g.matchUrl, ...errorEnvelope(e) };
+    }
+  }
+  return { ok:true, results, meta:{ matches: groups.size, fetched, cached: cachedHits, sources } };
+}
+
 export async function handler(event){
+  resetHttpMetrics();
   try{
     if(event.httpMethod!=="POST"){
       return respC(400, { error:"POST required" });
@@ -549,25 +747,32 @@ export async function handler(event){
     let body={};
     try{ body = JSON.parse(event.body||"{}"); }catch{ return respC(400,{ error:"Bad JSON" }); }
 
+    let cfg;
+    try{ cfg = resolveSeasonConfig({ season: body.season, leagues: body.leagues }); }
+    catch(e){ return respC(400, { error:String(e.message || e) }); }
+    connectStore(event);
+
+    // Batch: { matchUrl, players:[{playerId, playerName}] } or { pairs:[{matchUrl, playerId, playerName}] }
+    if(Array.isArray(body.players) || Array.isArray(body.pairs)){
+      const start = Date.now();
+      const pairs = Array.isArray(body.pairs) ? body.pairs : body.players.map(p => ({ ...p, matchUrl: body.matchUrl }));
+      const out = await runBatch(pairs, cfg, !!body.refresh, start + BUDGET_MS_C);
+      out.meta.ms = Date.now() - start;
+      out.meta.http = httpMetrics();
+      return respC(200, out);
+    }
+
     const matchUrl = String(body.matchUrl||"").trim();
     const playerId = asNumC(body.playerId);
     const playerName = String(body.playerName||"").trim();
-    if(!/\/match\/(\d+)/.test(matchUrl)) return respC(200,{ error:"Provide matchUrl like https://www.fotmob.com/match/123456" });
-
-    const { html } = await fetchTextC(matchUrl);
-    const s = nextDataStrC(html);
-    if(!s) return respC(200, { error:"NEXT_DATA not found" });
-    const next = safeJSONC(s);
-    if(!next) return respC(200, { error:"NEXT_DATA JSON parse failed" });
-
-    const general = extractGeneral(next);
-    const potm = extractPOTM(next) || null;
-    const node = (playerId || playerName) ? findPlayerNode(next, playerId||null, playerName||null) : null;
+    if(!/\/match\/(\d+)/.test(matchUrl)) return respC(400,{ error:"Provide matchUrl like https://www.fotmob.com/match/123456" });
 
-    const out = buildResult({ matchUrl, general, potm, playerNode: node, playerId, playerName, next });
+    let out;
+    try{ [out] = await checkMatchForPlayers(matchUrl, [{ playerId, playerName }], cfg, !!body.refresh, Date.now() + BUDGET_MS_C); }
+    catch(e){ return respC(errorStatus(e), errorEnvelope(e)); }
     return respC(200, out);
 
   }catch(e){
-    return respC(200, { error:String(e) });
+    return respC(errorStatus(e), errorEnvelope(e));
   }
 }
@@ -6,19 +6,22 @@
 //    match pages use a different team id (e.g., Jude Bellingham) are not filtered out.
 //    Everything else (response shape, filters, time budget) unchanged.
 
-const TOP5_LEAGUE_IDS = new Set([47, 87, 54, 55, 53]); // PL, LaLiga, Bundesliga, Serie A, Ligue 1
-const SEASON_START = new Date(Date.UTC(2025, 6, 1));                // 2025-07-01
-const SEASON_END   = new Date(Date.UTC(2026, 5, 30, 23, 59, 59));   // 2026-06-30
-const NOW          = new Date();
+import { resolveSeasonConfig, inSeasonPast } from "../../public/lib/seasons.js";
+import { getMatches as getCalendarMatches, yyyymmdd } from "./calendar.mjs";
+import { connectStore } from "../lib/store.mjs";
+import { getCachedMatch } from "../lib/match-cache.mjs";
+import { classifyStatus, matchStatusOf } from "../lib/match-status.mjs";
+import { clubSpellsFromNext, clubForMatch, inSpell, teamSlug as slugOf } from "../lib/club-history.mjs";
+import { fetchHtml, errorEnvelope, errorStatus, httpMetrics, resetHttpMetrics } from "../lib/http.mjs";
+import { loadMatch, loadPlayer, nextDataFromHtml } from "../lib/sources.mjs";
+import { browserEnabled, launchBrowser, renderNext, BROWSER_MIN_MS } from "../lib/browser.mjs";
 
 const BUDGET_MS    = 9500;
 const FETCH_TO_MS  = 2200;
 const ENRICH_MAX   = 32;
 const ENRICH_CONC  = 3;
 const ENOUGH_MATCHES = 14;
-
-const UA = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36";
-const HDRS_HTML = { accept:"text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8", "user-agent":UA, referer:"https://www.fotmob.com/", "accept-language":"en-GB,en;q=0.9" };
+const CALENDAR_CONC  = 6;
 
 const asNum  = (v) => Number.isFinite(Number(v)) ? Number(v) : null;
 const unique = (arr) => Array.from(new Set(arr));
@@ -34,35 +37,9 @@ function toISO(v){
   const d = new Date(v);
   return isNaN(d) ? null : d.toISOString();
 }
-function inSeasonPast(iso){
-  if(!iso) return false;
-  const d = new Date(iso);
-  return d >= SEASON_START && d <= SEASON_END && d <= NOW;
-}
-
-async function fetchWithTimeout(url, opts, ms){
-  const ctrl = new AbortController();
-  const t = setTimeout(() => ctrl.abort(), ms);
-  try {
-    const res  = await fetch(url, { ...opts, signal: ctrl.signal });
-    const text = await res.text();
-    return { res, text };
-  } finally {
-    clearTimeout(t);
-  }
-}
-async function fetchText(url){
-  const { res, text } = await fetchWithTimeout(url, { headers: HDRS_HTML, redirect:"follow" }, FETCH_TO_MS);
-  if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText}`);
-  if (!text) throw new Error("Empty HTML");
-  return { finalUrl: res.url || url, html: text };
-}
 
-function nextDataStr(html){
-  const m = html.match(/<script[^>]*id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/i);
-  return m ? m[1] : null;
-}
-function safeJSON(s){ try { return JSON.parse(s); } catch { return null; } }
+// One retry at most: discover has several fallbacks and a tight budget
+const fetchOpts = (deadline) => ({ timeout_ms: FETCH_TO_MS, retries: 1, deadline });
 
 function* walk(root){
   const stack=[root], seen=new Set();
@@ -78,6 +55,12 @@ function* walk(root){
   }
 }
 
+// Season window, narrowed to kickoffs at/after cfg.since for "since last run" updates
+function inWindow(iso, cfg){
+  if (!inSeasonPast(iso, cfg)) return false;
+  return !cfg.since || new Date(iso) >= cfg.since;
+}
+
 function parsePlayerIdFromUrl(url){
   try{
     const u = new URL(url);
@@ -87,12 +70,14 @@ function parsePlayerIdFromUrl(url){
 }
 
 // Collect matches (id, maybe leagueId/iso) + player/team from arbitrary NEXT trees
-function collectMatchesFromNext(root){
+export function collectMatchesFromNext(root){
   const matches=[];
-  let playerId=null, playerName=null, teamId=null, teamSlug=null;
+  let playerId=null, playerName=null, teamId=null, teamSlug=null, teamName=null;
 
+  // A cup round / European stage is listed under its own id; the parent id is the competition
   const leagueIdFrom = (it) =>
-    asNum(it?.leagueId ?? it?.tournamentId ?? it?.competitionId
+    asNum(it?.parentLeagueId ?? it?.tournament?.parentLeagueId ?? it?.league?.parentLeagueId
+      ?? it?.leagueId ?? it?.tournamentId ?? it?.competitionId
       ?? it?.league?.id ?? it?.tournament?.id ?? it?.competition?.id);
 
   const isoFrom = (it) =>
@@ -109,7 +94,8 @@ function collectMatchesFromNext(root){
       teamId = asNum(node?.teamId ?? node?.team?.id) ?? teamId;
       const nm = node?.team?.name || node?.teamName || null;
       if (nm && !teamSlug){
-        teamSlug = String(nm).toLowerCase().replace(/\s+/g,'-').replace(/[^a-z0-9-]/g,'');
+        teamName = String(nm);
+        teamSlug = slugOf(nm);
       }
     }
 
@@ -127,11 +113,11 @@ function collectMatchesFromNext(root){
         const iso = isoFrom(it) ?? null;
         const homeId = asNum(it?.homeTeamId ?? it?.home?.id ?? it?.homeTeam?.id ?? it?.teams?.home?.id);
         const awayId = asNum(it?.awayTeamId ?? it?.away?.id ?? it?.awayTeam?.id ?? it?.teams?.away?.id);
-        matches.push({ matchId: mid, leagueId: lid, iso, homeId, awayId });
+        matches.push({ matchId: mid, leagueId: lid, iso, homeId, awayId, status: classifyStatus(it?.status) });
       }
     }
   }
-  return { matches, playerId, playerName, teamId, teamSlug };
+  return { matches, playerId, playerName, teamId, teamSlug, teamName };
 }
 
 function extractFromMatchNext(root){
@@ -139,7 +125,7 @@ function extractFromMatchNext(root){
   for(const node of walk(root)){
     const g = node?.general || node?.overview?.general || null;
     if(!g) continue;
-    const lid = asNum(g.leagueId ?? g.tournamentId ?? g.competitionId);
+    const lid = asNum(g.parentLeagueId ?? g.leagueId ?? g.tournamentId ?? g.competitionId);
     const ts  = g.matchTimeUTC ?? g.startTimeUTC ?? g.kickoff?.utc ?? g.dateUTC;
     const homeId = asNum(g.homeTeam?.id ?? node?.homeTeam?.id);
     const awayId = asNum(g.awayTeam?.id ?? node?.awayTeam?.id);
@@ -152,13 +138,13 @@ function extractFromMatchNext(root){
   return { leagueId, iso, hId, aId };
 }
 
-function filterTop5SeasonPast(list){
+function filterLeagueSeasonPast(list, cfg){
   const out=[];
   for(const m of list){
     const lid = Number(m.leagueId);
-    if(!Number.isFinite(lid) || !TOP5_LEAGUE_IDS.has(lid)) continue;
+    if(!Number.isFinite(lid) || !cfg.leagueIds.has(lid)) continue;
     if(!m.iso) continue;
-    if(!inSeasonPast(m.iso)) continue;
+    if(!inWindow(m.iso, cfg)) continue;
     out.push(m);
   }
   return out;
@@ -170,51 +156,45 @@ function buildMatchUrls(listOrIds){
   return ids.filter(Boolean).map(id => `https://www.fotmob.com/match/${id}`);
 }
 
-async function getNextData(url){
-  const { html } = await fetchText(url);
-  const s = nextDataStr(html);
-  if(!s) throw new Error("NEXT_DATA not found");
-  const obj = safeJSON(s);
-  if(!obj) throw new Error("NEXT_DATA JSON parse failed");
-  return obj;
+// Team pages have no JSON source here: always the page's __NEXT_DATA__
+async function getNextData(url, deadline){
+  const { html } = await fetchHtml(url, fetchOpts(deadline));
+  return nextDataFromHtml(html, url);
 }
 
-// Enrich IDs by loading their MATCH PAGE HTML and parsing NEXT_DATA
-async function enrichIdsViaMatchPage(ids, teamId, debugStage, deadline, debugObj){
+// Enrich IDs by loading each match (JSON API, else the match page; see sources.mjs)
+async function enrichIdsViaMatchPage(ids, teamId, debugStage, deadline, debugObj, cfg){
   const toProbe = unique(ids).slice(0, ENRICH_MAX);
   const q = [...toProbe];
   const out = [];
   const errs = [];
   let budgetSkipped = 0;
   let teamMismatch = 0;
+  let cacheHits = 0;
+  const sources = debugObj.sources.matches;
 
   const work = async (mid) => {
     if (Date.now()+650 > deadline) { budgetSkipped += (q.length + 1); return; }
     try{
-      const { html } = await fetchText(`https://www.fotmob.com/match/${mid}`);
-      const s = nextDataStr(html);
-      if(!s) throw new Error("NEXT_DATA missing");
-      const obj = safeJSON(s);
-      if(!obj) throw new Error("NEXT_DATA parse");
+      const { next: obj, cached, source } = await getCachedMatch(mid, () => loadMatch(mid, fetchOpts(deadline)));
+      if (cached) cacheHits += 1;
+      else sources[source] = (sources[source] || 0) + 1;
       const ex = extractFromMatchNext(obj);
       const lid = asNum(ex.leagueId);
       const iso = ex.iso;
-      if (!Number.isFinite(lid) || !TOP5_LEAGUE_IDS.has(lid)) return;
-      if (!iso || !inSeasonPast(iso)) return;
+      if (!Number.isFinite(lid) || !cfg.leagueIds.has(lid)) return;
+      if (!iso || !inWindow(iso, cfg)) return;
       // *** PATCH: do NOT filter on teamId mismatch (common across FotMob surfaces)
       if (Number.isFinite(teamId) && !(ex.hId===teamId || ex.aId===teamId)) {
         teamMismatch += 1; // for debug only; do not return
       }
-      out.push({ matchId: Number(mid), leagueId: lid, iso });
+      out.push({ matchId: Number(mid), leagueId: lid, iso, homeId: ex.hId, awayId: ex.aId, status: matchStatusOf(obj) });
     }catch(e){ errs.push(`${mid}: ${String(e).slice(0,110)}`); }
   };
 
+  // Spacing between requests comes from the shared client (http.mjs)
   const runners = new Array(ENRICH_CONC).fill(0).map(async ()=>{
-    while(q.length && out.length < ENOUGH_MATCHES){
-      const id = q.shift();
-      await work(id);
-      await new Promise(r=>setTimeout(r, 120));
-    }
+    while(q.length && out.length < ENOUGH_MATCHES) await work(q.shift());
   });
   await Promise.all(runners);
 
@@ -223,97 +203,183 @@ async function enrichIdsViaMatchPage(ids, teamId, debugStage, deadline, debugObj
   debugObj[debugStage].enrich_errors  = errs.length;
   debugObj[debugStage].budget_skipped = (debugObj[debugStage].budget_skipped||0) + budgetSkipped;
   debugObj[debugStage].team_mismatch  = (debugObj[debugStage].team_mismatch||0) + teamMismatch;
+  debugObj[debugStage].cache_hits     = (debugObj[debugStage].cache_hits||0) + cacheHits;
 
   return out;
 }
 
-async function discoverForPlayerUrl(playerUrl, deadline){
+export async function discoverForPlayerUrl(playerUrl, deadline, cfg){
   const debug = {
     used: [],
     player_page: { next_matches: 0, kept: 0, errors: [], enrich_probed:0, enrich_kept:0, enrich_errors:0, budget_skipped:0, team_mismatch:0 },
-    team_pages:  { attempts: 0, next_matches: 0, kept: 0, errors: [], enrich_probed:0, enrich_kept:0, enrich_errors:0, budget_skipped:0, team_mismatch:0 },
+    team_pages:  { clubs: 0, attempts: 0, next_matches: 0, kept: 0, errors: [], enrich_probed:0, enrich_kept:0, enrich_errors:0, budget_skipped:0, team_mismatch:0 },
+    calendar:    { days_total: 0, days_scanned: 0, team_matches: 0, kept: 0, partial: false, errors: [] },
+    sources:     { player: null, matches: {} },   // which source served the player and the enriched matches
+    browser:     { pages: [], kept: 0, errors: [] },
   };
 
   let player_id = parsePlayerIdFromUrl(playerUrl);
   let player_name = null, team_id = null, team_slug = null;
+  let clubs = [];   // club spells inside the season window (club-history.mjs), oldest first
   let matches = [];
+  const tagClub = (m) => ({ ...m, club: m.club || clubForMatch(clubs, m) });
+  const clubHasMatches = (c) => matches.some(m => m.club?.team_id === c.team_id);
 
   // 1) Player page
   let playerNextIds = [];
   try{
-    const next = await getNextData(playerUrl);
+    const loaded = player_id
+      ? await loadPlayer(player_id, { ...fetchOpts(deadline), pageUrl: playerUrl })
+      : { next: await getNextData(playerUrl, deadline), source: "html", attempts: [] };
+    const next = loaded.next;
+    debug.sources.player = loaded.source;
+    if (loaded.attempts.length) debug.player_page.source_errors = loaded.attempts;
     const found = collectMatchesFromNext(next);
     if (found.playerId) player_id = player_id ?? found.playerId;
     if (found.playerName) player_name = found.playerName;
     team_id  = team_id  ?? found.teamId;
     team_slug= team_slug?? found.teamSlug;
+    clubs = clubSpellsFromNext(next, cfg, found.teamId ? { id: found.teamId, name: found.teamName } : null);
 
     debug.used.push("player_next");
     debug.player_page.next_matches += found.matches.length;
 
-    const kept = filterTop5SeasonPast(found.matches);
+    const kept = filterLeagueSeasonPast(found.matches, cfg);
     debug.player_page.kept += kept.length;
-    matches = matches.concat(kept);
+    matches = matches.concat(kept.map(tagClub));
 
     playerNextIds = unique(found.matches.map(m => String(m.matchId))).filter(Boolean);
 
     if (matches.length === 0 && playerNextIds.length && (Date.now()+1500 < deadline)){
-      const enr = await enrichIdsViaMatchPage(playerNextIds, team_id ?? null, "player_page", deadline, debug);
+      const enr = await enrichIdsViaMatchPage(playerNextIds, team_id ?? null, "player_page", deadline, debug, cfg);
       if (enr.length) debug.used.push("player_next_enriched_html");
-      matches = matches.concat(enr);
+      matches = matches.concat(enr.map(tagClub));
     }
   }catch(e){
     debug.player_page.errors.push(String(e));
   }
+  debug.team_pages.clubs = clubs.length;
 
-  // 2) Team fixtures/matches pages
-  if (team_id && (Date.now()+1200 < deadline)){
+  // 2) Team fixtures/matches pages, once per club, keeping only fixtures inside the player's spell there
+  for (const club of clubs){
+    if (Date.now()+1200 >= deadline) break;
     const tryUrls=[];
-    const base = `https://www.fotmob.com/teams/${team_id}`;
-    const slug = team_slug ? `/${team_slug}` : "";
+    const base = `https://www.fotmob.com/teams/${club.team_id}`;
+    const slug = club.team_slug ? `/${club.team_slug}` : "";
     tryUrls.push(`${base}/fixtures${slug}`);
     tryUrls.push(`${base}/matches${slug}`);
     tryUrls.push(`${base}/overview${slug}`);
     tryUrls.push(`${base}${slug}`);
 
-    let teamNextIds=[];
+    let teamNextIds=[], clubKept=0;
     for(const u of tryUrls){
       if (Date.now()+1000 >= deadline) break;
       try{
         debug.team_pages.attempts += 1;
-        const next = await getNextData(u);
+        const next = await getNextData(u, deadline);
         const found = collectMatchesFromNext(next);
 
         debug.used.push("team_next");
         debug.team_pages.next_matches += found.matches.length;
 
-        const kept = filterTop5SeasonPast(found.matches);
+        const kept = filterLeagueSeasonPast(found.matches, cfg).filter(m => inSpell(m.iso, club));
         debug.team_pages.kept += kept.length;
-        matches = matches.concat(kept);
+        clubKept += kept.length;
+        matches = matches.concat(kept.map(m => ({ ...m, club })));
 
-        teamNextIds = teamNextIds.concat(found.matches.map(m => String(m.matchId)));
+        teamNextIds = teamNextIds.concat(found.matches.filter(m => !m.iso || inSpell(m.iso, club)).map(m => String(m.matchId)));
       }catch(e){
         debug.team_pages.errors.push(`${u} :: ${String(e)}`);
       }
+      // Several clubs share one budget: the first page with fixtures is enough for each
+      if (clubs.length > 1 && clubKept) break;
     }
 
-    if (matches.length === 0 && teamNextIds.length && (Date.now()+1500 < deadline)){
-      const enr = await enrichIdsViaMatchPage(unique(teamNextIds), team_id, "team_pages", deadline, debug);
+    const needEnrich = clubs.length > 1 ? !clubKept && !clubHasMatches(club) : matches.length === 0;
+    if (needEnrich && teamNextIds.length && (Date.now()+1500 < deadline)){
+      const enr = (await enrichIdsViaMatchPage(unique(teamNextIds), club.team_id, "team_pages", deadline, debug, cfg))
+        .filter(m => inSpell(m.iso, club));
       if (enr.length) debug.used.push("team_next_enriched_html");
-      matches = matches.concat(enr);
+      matches = matches.concat(enr.map(m => ({ ...m, club })));
+    }
+  }
+
+  // 3) Calendar fallback: day-by-day league fixtures involving a club that still has no matches
+  const missing = clubs.length > 1 ? clubs.filter(c => !clubHasMatches(c)) : (matches.length ? [] : clubs);
+  if (missing.length && (Date.now()+1500 < deadline)){
+    try{
+      const now = new Date();
+      const from = cfg.since && cfg.since > cfg.start ? cfg.since : cfg.start;
+      const cal = await getCalendarMatches(yyyymmdd(from), yyyymmdd(now < cfg.end ? now : cfg.end), cfg.leagueIds,
+        { concurrency: CALENDAR_CONC, deadline: deadline - 600, teamIds: new Set(missing.map(c => c.team_id)), newestFirst: true });
+      const kept = filterLeagueSeasonPast(cal.matches, cfg).map(m => ({ ...m, club: clubForMatch(missing, m) })).filter(m => m.club);
+      debug.calendar.days_total   = cal.days_total;
+      debug.calendar.days_scanned = cal.days_scanned;
+      debug.calendar.team_matches = cal.matches.length;
+      debug.calendar.kept         = kept.length;
+      debug.calendar.partial      = cal.days_scanned < cal.days_total;
+      debug.calendar.errors       = cal.fails.map(f => `${f.date} :: ${f.error}`);
+      if (kept.length) debug.used.push("calendar_fallback");
+      matches = matches.concat(kept);
+    }catch(e){
+      debug.calendar.errors.push(String(e));
+    }
+  }
+
+  // 4) Last resort: render the player page, then the current club's fixtures page, in headless Chromium
+  //    and collect what their client-side requests load (BROWSER_FALLBACK=1; see lib/browser.mjs)
+  if (!matches.length && browserEnabled() && Date.now() + BROWSER_MIN_MS < deadline){
+    const club = clubs[clubs.length - 1];
+    const pages = debug.sources.player === "browser" ? [] : [{ url: playerUrl }];   // already rendered in 1)
+    if (club) pages.push({ url: `https://www.fotmob.com/teams/${club.team_id}/fixtures${club.team_slug ? `/${club.team_slug}` : ""}`, club });
+    let browser = null;
+    try{
+      browser = await launchBrowser({ timeout_ms: Math.min(5000, deadline - Date.now() - 1000) });
+      for (const p of pages){
+        if (matches.length || Date.now() + BROWSER_MIN_MS >= deadline) break;
+        try{
+          const { next, api, ms } = await renderNext(browser, p.url, { deadline: deadline - 300 });
+          const found = collectMatchesFromNext(next);
+          if (found.playerName && !p.club) player_name = player_name || found.playerName;
+          const kept = filterLeagueSeasonPast(found.matches, cfg).filter(m => !p.club || inSpell(m.iso, p.club));
+          debug.browser.pages.push({ url: p.url, ms, api: api.length, next_matches: found.matches.length, kept: kept.length });
+          debug.browser.kept += kept.length;
+          matches = matches.concat(kept.map(m => p.club ? { ...m, club: p.club } : tagClub(m)));
+        }catch(e){
+          debug.browser.errors.push(`${p.url} :: ${String(e)}`);
+        }
+      }
+      if (matches.length) debug.used.push("browser_render");
+    }catch(e){
+      debug.browser.errors.push(`launch :: ${String(e)}`);
+    }finally{
+      await browser?.close().catch(() => {});
     }
   }
 
   // Deduplicate → URLs
   const urlList = buildMatchUrls(matches);
+  // Status per match id where a source reported one (lists often omit it; check always reports it)
+  const match_status = {};
+  for (const m of matches) if (m.status) match_status[String(m.matchId)] = m.status;
+  // Club the player represented in each match, where it could be worked out
+  const match_club = {};
+  for (const m of matches){
+    const id = String(m.matchId);
+    if (m.club && !match_club[id]) match_club[id] = { team_id: m.club.team_id, team_name: m.club.team_name };
+  }
+  const current = clubs[clubs.length - 1];
 
   return {
     player_url: playerUrl,
     player_id,
     player_name: player_name || null,
-    team_id: team_id || null,
-    team_slug: team_slug || null,
+    team_id: current?.team_id || team_id || null,
+    team_slug: current?.team_slug || team_slug || null,
+    clubs,
     match_urls: urlList,
+    match_status,
+    match_club,
     debug
   };
 }
@@ -321,6 +387,8 @@ async function discoverForPlayerUrl(playerUrl, deadline){
 export async function handler(event){
   const start = Date.now();
   const deadline = start + BUDGET_MS;
+  connectStore(event);
+  resetHttpMetrics();
 
   try{
     let payload = {};
@@ -328,16 +396,25 @@ export async function handler(event){
       try{ payload = JSON.parse(event.body || "{}"); }
       catch { return resp(400, { ok:false, error:"Provide { urls: [...] }" }); }
     } else if (event.httpMethod === "GET"){
-      const q = event.queryStringParameters?.urls || "";
-      const urls = decodeURIComponent(q).split(/[\,\n]/).map(s=>s.trim()).filter(Boolean);
-      payload = { urls };
+      const qp = event.queryStringParameters || {};
+      const urls = decodeURIComponent(qp.urls || "").split(/[\,\n]/).map(s=>s.trim()).filter(Boolean);
+      payload = { urls, season: qp.season, leagues: qp.leagues, since: qp.since };
     } else {
       return resp(400, { ok:false, error:"Provide { urls: [...] }" });
     }
 
     const urls = Array.isArray(payload.urls) ? payload.urls : [];
     if (!urls.length){
-      return resp(200, { ok:false, error:"Provide { urls: [...] }" });
+      return resp(400, { ok:false, error:"Provide { urls: [...] }" });
+    }
+
+    let cfg;
+    try{ cfg = resolveSeasonConfig({ season: payload.season, leagues: payload.leagues }); }
+    catch(e){ return resp(400, { ok:false, error:String(e.message || e) }); }
+    if (payload.since){
+      const since = new Date(payload.since);
+      if (isNaN(since)) return resp(400, { ok:false, error:`Bad since "${payload.since}" (expected an ISO date)` });
+      cfg.since = since;
     }
 
     const players = [];
@@ -347,15 +424,15 @@ export async function handler(event){
         break;
       }
       try{
-        const one = await discoverForPlayerUrl(u, deadline);
+        const one = await discoverForPlayerUrl(u, deadline, cfg);
         players.push(one);
       }catch(e){
-        players.push({ player_url: u, player_id: parsePlayerIdFromUrl(u), match_urls: [], debug: { errors:[String(e)] } });
+        players.push({ player_url: u, player_id: parsePlayerIdFromUrl(u), match_urls: [], debug: { errors:[String(e)], error: errorEnvelope(e) } });
       }
     }
 
-    return resp(200, { ok:true, players, meta:{ ms: Date.now()-start, budget_ms: BUDGET_MS } });
+    return resp(200, { ok:true, players, meta:{ ms: Date.now()-start, budget_ms: BUDGET_MS, season: cfg.season, leagues: cfg.leagues, since: cfg.since ? cfg.since.toISOString() : null, http: httpMetrics() } });
   }catch(e){
-    return resp(200, { ok:false, error:String(e), meta:{ ms: Date.now()-start, budget_ms: BUDGET_MS } });
+    return resp(errorStatus(e), { ok:false, ...errorEnvelope(e), meta:{ ms: Date.now()-start, budget_ms: BUDGET_MS, http: httpMetrics() } });
   }
 }
@@ -0,0 +1,25 @@
+// netlify/functions/job-tick.mjs
+// Scheduled (see netlify.toml): advances active server jobs when no browser is polling them.
+
+import { connectStore } from "../lib/store.mjs";
+import { activeJobIds, advanceJob } from "./jobs.mjs";
+
+const TICK_BUDGET_MS = 25000;  // scheduled functions get 30s
+const STEP_MS        = 8000;
+
+export async function handler(event){
+  connectStore(event);
+  const deadline = Date.now() + TICK_BUDGET_MS;
+  const touched = [];
+  try{
+    for (const id of await activeJobIds()){
+      const left = deadline - Date.now();
+      if (left < 3000) break;
+      const job = await advanceJob(id, Math.min(STEP_MS, left));
+      touched.push({ id, status: job?.status || "missing" });
+    }
+    return { statusCode: 200, body: JSON.stringify({ ok:true, jobs: touched }) };
+  }catch(e){
+    return { statusCode: 200, body: JSON.stringify({ ok:false, error:String(e), jobs: touched }) };
+  }
+}
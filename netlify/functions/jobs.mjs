@@ -0,0 +1,225 @@
+// netlify/functions/jobs.mjs
+// Server-side discover + check runs ("jobs"), so a run survives a closed tab or a sleeping laptop.
+//   POST { urls:[...], season, leagues }  -> create a job; returns { id }
+//   GET  ?id=<job id>                     -> status + progress (+ results once done); advances the job one chunk
+//   POST { id, action:"resume" }          -> restart a failed job from where it stopped
+// Work happens in chunks that fit the function budget: each poll advances the job, and
+// job-tick.mjs (scheduled) keeps advancing active jobs when nobody is polling.
+// POSTs need the admin secret (netlify/lib/auth.mjs): a finished job replaces the latest run snapshot.
+
+import { randomUUID } from "node:crypto";
+import { resolveSeasonConfig } from "../../public/lib/seasons.js";
+import { checkGroups, dedupRows, makeSnapshot } from "../../public/lib/runs.js";
+import { connectStore, openStore } from "../lib/store.mjs";
+import { saveSnapshot } from "../lib/snapshots.mjs";
+import { publishStandings } from "../lib/standings.mjs";
+import { errorEnvelope, errorStatus } from "../lib/http.mjs";
+import { adminRequired } from "../lib/auth.mjs";
+import { discoverForPlayerUrl } from "./discover.mjs";
+import { runBatch } from "./check.mjs";
+
+const STORE_NAME       = "jobs";
+const POLL_STEP_MS     = 7000;  // work done inside a status poll (sync functions stop at 10s)
+const DISCOVER_MS      = 9500;  // per player, same as discover.mjs BUDGET_MS
+const DISCOVER_TRIES   = 2;     // zero-match discoveries are retried once (slow responses)
+const CHECK_CHUNK      = 12;    // match groups per runBatch call
+const LEASE_MARGIN_MS  = 5000;
+
+const resp = (code, obj) => ({ statusCode: code, headers:{ "content-type":"application/json" }, body: JSON.stringify(obj) });
+const store = () => openStore(STORE_NAME);
+const ACTIVE = new Set(["queued", "discovering", "checking"]);
+
+async function saveJob(job){
+  job.updated_at = new Date().toISOString();
+  await store().set(job.id, job);
+  if (ACTIVE.has(job.status)) await store().set(`active/${job.id}`, { id: job.id });
+  else await store().delete(`active/${job.id}`);
+}
+export async function loadJob(id){ return id ? store().get(String(id)) : null; }
+// Queue a job for `urls` (normalized player URLs); the caller or job-tick advances it
+export async function createJob(urls, cfg, opts = {}){
+  const job = newJob(urls, cfg, opts);
+  await saveJob(job);
+  return job;
+}
+export async function activeJobIds(){ return (await store().list("active/")).map(k => k.slice("active/".length)); }
+
+function newJob(urls, cfg, opts){
+  return {
+    id: randomUUID().slice(0, 8),
+    status: "queued",
+    created_at: new Date().toISOString(),
+    source: opts.source || "ui",
+    publish: Boolean(opts.publish),   // publish the results as the league standings when done
+    season: cfg.season,
+    leagues: cfg.leagues,
+    players: urls.map(u => ({ player_url: u, player_name: null, player_id: null, match_urls: [], tries: 0, discovered: false, rows: [] })),
+    checks: [],          // [{ matchUrl, owners:[player index], done }]
+    progress: { discover: { done: 0, total: urls.length }, check: { done: 0, total: 0 } },
+    lease_until: 0,
+    error: null
+  };
+}
+
+// Same grouping as the UI: one check call per match for every tracked player in it
+function buildChecks(job){
+  job.checks = checkGroups(job.players.map(p => p.match_urls)).map(g => ({ ...g, done: false }));
+  job.progress.check = { done: 0, total: job.checks.length };
+}
+
+async function stepDiscover(job, cfg, deadline){
+  for (const p of job.players){
+    if (p.discovered) continue;
+    if (Date.now() + 1500 > deadline) return;
+    p.tries += 1;
+    try{
+      const one = await discoverForPlayerUrl(p.player_url, Math.min(deadline, Date.now() + DISCOVER_MS), cfg);
+      p.player_name = one.player_name || p.player_name;
+      p.player_id   = one.player_id || p.player_id;
+      p.match_urls  = one.match_urls || [];
+      p.discover_used = one.debug?.used || [];
+      p.clubs = one.clubs || [];
+    }catch(e){
+      p.error = String(e);
+    }
+    if (p.match_urls.length || p.tries >= DISCOVER_TRIES){
+      p.discovered = true;
+      job.progress.discover.done += 1;
+    }
+  }
+  // A zero-match player is tried again on the next step; checking waits for every player
+  if (!job.players.every(p => p.discovered)) return;
+  buildChecks(job);
+  job.status = "checking";
+}
+
+async function stepCheck(job, cfg, deadline){
+  while (Date.now() + 1500 < deadline){
+    const chunk = job.checks.filter(c => !c.done).slice(0, CHECK_CHUNK);
+    if (!chunk.length) break;
+    const pairs = [], owners = [];
+    for (const c of chunk){
+      for (const pi of c.owners){
+        const p = job.players[pi];
+        pairs.push({ matchUrl: c.matchUrl, playerId: p.player_id, playerName: p.player_name || "" });
+        owners.push({ c, pi });
+      }
+    }
+    const { results } = await runBatch(pairs, cfg, false, deadline - 1000);
+    const skipped = new Set();
+    results.forEach((r, k) => {
+      const { c, pi } = owners[k];
+      // Out of time, or FotMob asked us to slow down: the match is checked again on the next step
+      if (r?.error === "time budget exceeded" || r?.code === "rate_limited"){ skipped.add(c); return; }
+      if (r && !r.error && r.league_allowed && r.within_season) job.players[pi].rows.push(r);
+    });
+    for (const c of chunk){
+      if (skipped.has(c)) continue;
+      c.done = true;
+      job.progress.check.done += 1;
+    }
+    if (skipped.size) break;
+  }
+  if (job.checks.every(c => c.done)) await finishJob(job, cfg);
+}
+
+async function finishJob(job, cfg){
+  job.results = job.players.map(p => {
+    const raw = dedupRows(p.rows);
+    const name = p.player_name || raw[0]?.echo_player_name || null;
+    return { player_url: p.player_url, player_name: name, raw };
+  });
+  for (const p of job.players) p.rows = [];
+  const snap = await saveSnapshot(makeSnapshot({ season: cfg.season, leagues: cfg.leagues, players: job.players, results: job.results }))
+    .catch(() => null);
+  job.snapshot_id = snap?.id || null;
+  if (job.publish){
+    const artifact = await publishStandings({ season: cfg.season, leagues: cfg.leagues, results: job.results, job_id: job.id });
+    job.published_at = artifact.updated_at;
+  }
+  job.status = "done";
+}
+
+// Advance one job until `deadline`; skips jobs another invocation is working on
+export async function advanceJob(id, budgetMs){
+  const job = await loadJob(id);
+  if (!job || !ACTIVE.has(job.status)) return job;
+  if (job.lease_until > Date.now()) return job;
+
+  const deadline = Date.now() + budgetMs;
+  job.lease_until = deadline + LEASE_MARGIN_MS;
+  await saveJob(job);
+
+  try{
+    const cfg = resolveSeasonConfig({ season: job.season, leagues: job.leagues });
+    if (job.status === "queued") job.status = "discovering";
+    if (job.status === "discovering") await stepDiscover(job, cfg, deadline);
+    if (job.status === "checking") await stepCheck(job, cfg, deadline);
+  }catch(e){
+    job.failed_in = job.status;
+    job.status = "failed";
+    job.error = String(e);
+    job.error_code = errorEnvelope(e).code;
+  }
+  job.lease_until = 0;
+  await saveJob(job);
+  return job;
+}
+
+function view(job, withResults){
+  const out = {
+    ok: true, id: job.id, status: job.status, season: job.season, leagues: job.leagues,
+    created_at: job.created_at, updated_at: job.updated_at, progress: job.progress, error: job.error, error_code: job.error_code || null,
+    source: job.source, published_at: job.published_at || null
+  };
+  if (job.status === "done" && withResults){
+    out.snapshot_id = job.snapshot_id;
+    out.results = job.results;
+    out.players = job.players.map(p => ({ player_url: p.player_url, player_name: p.player_name, player_id: p.player_id, match_urls: p.match_urls, clubs: p.clubs || [], discover_used: p.discover_used || [] }));
+  }
+  return out;
+}
+
+export async function handler(event){
+  connectStore(event);
+  try{
+    if (event.httpMethod === "GET"){
+      const qp = event.queryStringParameters || {};
+      let job = await loadJob(qp.id);
+      if (!job) return resp(404, { ok:false, error:`Unknown job "${qp.id || ""}"` });
+      if (ACTIVE.has(job.status)) job = await advanceJob(job.id, POLL_STEP_MS);
+      return resp(200, view(job, qp.results !== "0"));
+    }
+    if (event.httpMethod !== "POST") return resp(400, { ok:false, error:"GET or POST required" });
+    const denied = adminRequired(event);
+    if (denied) return resp(denied.status, { ok:false, error: denied.error, code: denied.code });
+
+    let body = {};
+    try{ body = JSON.parse(event.body || "{}"); }
+    catch{ return resp(400, { ok:false, error:"Bad JSON" }); }
+
+    if (body.id && body.action === "resume"){
+      const job = await loadJob(body.id);
+      if (!job) return resp(404, { ok:false, error:`Unknown job "${body.id}"` });
+      if (job.status === "failed"){
+        job.status = job.failed_in || "queued";
+        job.error = null;
+        job.error_code = null;
+        await saveJob(job);
+      }
+      return resp(200, view(job, false));
+    }
+
+    const urls = Array.from(new Set((Array.isArray(body.urls) ? body.urls : []).map(u => String(u).trim()).filter(u => /\/players\/\d+/.test(u))));
+    if (!urls.length) return resp(400, { ok:false, error:"Provide { urls: [...] } with FotMob player URLs" });
+
+    let cfg;
+    try{ cfg = resolveSeasonConfig({ season: body.season, leagues: body.leagues }); }
+    catch(e){ return resp(400, { ok:false, error:String(e.message || e) }); }
+
+    const job = await createJob(urls, cfg);
+    return resp(200, view(job, false));
+  }catch(e){
+    return resp(errorStatus(e), { ok:false, ...errorEnvelope(e) });
+  }
+}
@@ -0,0 +1,135 @@
+// netlify/functions/picks.mjs
+// Expert picks: entry by form or CSV, rules from league.json "picks", lock at a kickoff, change log.
+//   GET                                  -> { ok, rules, locked, window, entries, roster, clubs }
+//   GET ?log=1                           -> the same + log (every submission, oldest first)
+//   GET ?tokens=1[&expert=a,b]           -> (admin) { ok, tokens:[{ expert, token }] } for league.json experts,
+//                                           saved entries and the named ones
+//   POST { expert, players:[...], captain?, vice_captain? } -> submit/replace one expert's entry (form)
+//   POST { csv:"expert,p1,p2,..." }      -> (admin) import entries; each expert is validated on its own
+//   POST { expert, transfer:{ out, in, captain?, vice_captain? } } -> one transfer, while a window is open
+// Picks are roster names or FotMob URLs; after rules.lock_at entries are refused (and logged) and the squad
+// only changes through transfers. Form entries and transfers need that expert's token (x-expert-token header)
+// or the admin secret (netlify/lib/auth.mjs); the log records who made each change as "by".
+
+import { resolveRules, isLocked, openWindow, validateEntry, validateTransfer, parsePicksCsv, clubsFromResults, expertKey } from "../../public/lib/picks.js";
+import { connectStore } from "../lib/store.mjs";
+import { fetchSite } from "../lib/site.mjs";
+import { loadRoster } from "../lib/roster.mjs";
+import { getStandings } from "../lib/standings.mjs";
+import { listEntries, saveEntry, appendLog, listLog } from "../lib/picks.mjs";
+import { errorEnvelope, errorStatus } from "../lib/http.mjs";
+import { adminRequired, expertToken, header, picksCaller } from "../lib/auth.mjs";
+
+const resp = (code, obj) => ({ statusCode: code, headers:{ "content-type":"application/json", "cache-control":"no-store" }, body: JSON.stringify(obj) });
+const names = (players) => (players || []).map(p => p?.name ?? p);
+
+// Rules, roster, league.json expert names and each player's latest club (from the published standings, for max_per_club)
+async function loadContext(){
+  let league = {};
+  try{ league = JSON.parse(await fetchSite("/league.json")); }catch{ /* defaults */ }
+  const rules = resolveRules(league.picks);
+  const roster = await loadRoster();
+  const clubs = clubsFromResults((await getStandings())?.results);
+  const experts = (Array.isArray(league.experts) ? league.experts : []).map(e => e?.expert).filter(Boolean);
+  return { rules, roster, clubs, experts };
+}
+
+// One token per expert name, first spelling wins
+function tokensFor(names){
+  const seen = new Map();
+  for (const n of names){
+    const expert = String(n || "").trim(), token = expertToken(expert);
+    if (token && !seen.has(token)) seen.set(token, { expert, token });
+  }
+  return Array.from(seen.values());
+}
+
+// Validate against the other entries (saved + earlier rows of this import), then save and log;
+// refused entries are logged with their errors. entries is updated in place.
+async function submit(entry, source, by, ctx, entries){
+  const existing = entries.find(e => expertKey(e.expert) === expertKey(entry.expert));
+  const { errors, players, captain, vice_captain } = validateEntry(entry, ctx.rules, { roster: ctx.roster, others: entries, clubs: ctx.clubs });
+  if (errors.length){
+    await appendLog({ expert: entry.expert, action: "rejected", source, by, before: names(existing?.players), after: entry.players, errors });
+    return { expert: entry.expert, ok: false, errors };
+  }
+  const now = new Date().toISOString();
+  const saved = await saveEntry({
+    expert: existing?.expert || String(entry.expert).trim(), players, captain, vice_captain, transfers: [], source,
+    submitted_at: existing?.submitted_at || now, updated_at: now
+  });
+  await appendLog({ expert: saved.expert, action: existing ? "update" : "create", source, by, before: names(existing?.players), after: names(players) });
+  if (existing) entries[entries.indexOf(existing)] = saved; else entries.push(saved);
+  return { expert: saved.expert, ok: true, players: names(players) };
+}
+
+// A transfer on a saved entry; logged either way
+async function transfer(body, by, ctx, entries){
+  const entry = entries.find(e => expertKey(e.expert) === expertKey(body.expert));
+  if (!entry) return resp(400, { ok:false, errors:[`No entry for "${body.expert || ""}"`] });
+  const { errors, transfer: t } = validateTransfer(entry, body.transfer, ctx.rules, { roster: ctx.roster, others: entries, clubs: ctx.clubs });
+  const before = names(entry.players), change = `${body.transfer?.out || "?"} → ${body.transfer?.in || "?"}`;
+  if (errors.length){
+    await appendLog({ expert: entry.expert, action: "rejected", source: "form", by, before, after: [change], errors });
+    return resp(400, { ok:false, errors });
+  }
+  const saved = await saveEntry({ ...entry, transfers: [...(entry.transfers || []), t], updated_at: t.date });
+  await appendLog({ expert: entry.expert, action: "transfer", source: "form", by, before, after: [`${t.out.name} → ${t.in.name}`] });
+  return resp(200, { ok:true, entry: saved });
+}
+
+export async function handler(event){
+  connectStore(event);
+  try{
+    let ctx;
+    try{ ctx = await loadContext(); }
+    catch(e){ return resp(400, { ok:false, error:String(e.message || e) }); }
+    const locked = isLocked(ctx.rules);
+
+    if (event.httpMethod === "GET"){
+      const qp = event.queryStringParameters || {};
+      if (qp.tokens){
+        const denied = adminRequired(event);
+        if (denied) return resp(denied.status, { ok:false, error: denied.error, code: denied.code });
+        const named = String(qp.expert || "").split(",");
+        return resp(200, { ok:true, tokens: tokensFor([...ctx.experts, ...(await listEntries()).map(e => e.expert), ...named]) });
+      }
+      const out = { ok:true, rules: ctx.rules, locked, window: openWindow(ctx.rules), entries: await listEntries(), roster: ctx.roster, clubs: Object.fromEntries(ctx.clubs) };
+      if (qp.log) out.log = await listLog();
+      return resp(200, out);
+    }
+    if (event.httpMethod !== "POST") return resp(400, { ok:false, error:"GET or POST required" });
+
+    let body = {};
+    try{ body = JSON.parse(event.body || "{}"); }
+    catch{ return resp(400, { ok:false, error:"Bad JSON" }); }
+
+    // Checked before anything is logged: a caller without a secret or token leaves no trace in the log
+    const source = typeof body.csv === "string" ? "csv" : "form";
+    const by = source === "csv" ? (adminRequired(event) ? null : "admin") : picksCaller(event, body.expert, header(event, "x-expert-token"));
+    if (!by){
+      const denied = adminRequired(event);
+      const error = denied.code === "unauthorized" && source === "form" ? `The token for "${String(body.expert || "").trim()}" or the admin secret is required` : denied.error;
+      return resp(denied.status, { ok:false, error, code: denied.code });
+    }
+
+    if (body.transfer) return transfer(body, by, ctx, await listEntries());
+
+    const incoming = source === "csv" ? parsePicksCsv(body.csv) : [{ expert: body.expert, players: body.players, captain: body.captain, vice_captain: body.vice_captain }];
+    if (!incoming.length) return resp(400, { ok:false, error:"Provide { expert, players } or { csv }" });
+
+    if (locked){
+      for (const e of incoming) await appendLog({ expert: e.expert || null, action: "rejected", source, by, after: e.players, errors: ["entries are locked"] });
+      return resp(409, { ok:false, error:`Entries locked at ${ctx.rules.lock_at}` });
+    }
+
+    const entries = await listEntries();
+    const results = [];
+    for (const e of incoming) results.push(await submit(e, source, by, ctx, entries));
+    const ok = results.every(r => r.ok);
+    if (source === "form") return resp(ok ? 200 : 400, ok ? { ok, entry: results[0] } : { ok, errors: results[0].errors });
+    return resp(200, { ok, imported: results.filter(r => r.ok).length, results });
+  }catch(e){
+    return resp(errorStatus(e), { ok:false, ...errorEnvelope(e) });
+  }
+}
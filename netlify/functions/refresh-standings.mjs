@@ -0,0 +1,37 @@
+// netlify/functions/refresh-standings.mjs
+// Scheduled nightly (see netlify.toml): runs discover + checks for the league roster as a server job
+// and publishes the results as the league standings (lib/standings.mjs) when the job finishes.
+// The job is advanced here for the rest of this invocation, then by job-tick every few minutes.
+
+import { resolveSeasonConfig } from "../../public/lib/seasons.js";
+import { connectStore } from "../lib/store.mjs";
+import { loadRoster } from "../lib/roster.mjs";
+import { fetchSite } from "../lib/site.mjs";
+import { activeJobIds, advanceJob, createJob, loadJob } from "./jobs.mjs";
+
+const STEP_MS = 20000;   // scheduled functions get 30s
+
+export async function handler(event){
+  connectStore(event);
+  try{
+    // One refresh at a time: a previous night's job that is still running keeps going instead
+    for (const id of await activeJobIds()){
+      const job = await loadJob(id);
+      if (job?.publish) return { statusCode: 200, body: JSON.stringify({ ok:true, skipped:`refresh job ${id} still ${job.status}` }) };
+    }
+
+    // The roster saved from the checker UI (functions/roster.mjs) wins over the deployed players.csv
+    const roster = await loadRoster();
+    if (!roster.length) throw new Error("players.csv has no player URLs");
+    // league.json may pin "season" / "leagues"; otherwise the defaults from seasons.js apply
+    let league = {};
+    try{ league = JSON.parse(await fetchSite("/league.json")); }catch{ /* defaults */ }
+    const cfg = resolveSeasonConfig({ season: league.season, leagues: league.leagues });
+
+    const created = await createJob(roster.map(p => p.url), cfg, { source: "schedule", publish: true });
+    const job = await advanceJob(created.id, STEP_MS);
+    return { statusCode: 200, body: JSON.stringify({ ok:true, id: job.id, status: job.status, progress: job.progress }) };
+  }catch(e){
+    return { statusCode: 200, body: JSON.stringify({ ok:false, error:String(e) }) };
+  }
+}
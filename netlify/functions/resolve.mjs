@@ -0,0 +1,156 @@
+// netlify/functions/resolve.mjs
+// Free-text player names -> FotMob player candidates, for rosters and picks submitted as names.
+//   POST { names:["Vini Jr", "Julian Alvarez"] }  -> { ok, results:[{ query, candidates, best }], meta:{ http } }
+//   GET  ?q=<name>                                -> same, one name
+// candidates: [{ id, name, url, team_id, team_name, position, match }], best first; `best` is the id of
+// an unambiguous match (one exact name, or a single candidate), else null and the user picks.
+
+import { normName, normalizePlayerUrl } from "../../public/lib/roster.js";
+import { teamSlug as slugOf } from "../lib/club-history.mjs";
+import { fetchJSON, fetchHtml, HttpError, errorEnvelope, errorStatus, httpMetrics, resetHttpMetrics } from "../lib/http.mjs";
+
+const BUDGET_MS        = 9000;
+const FETCH_TO_MS      = 2500;
+const MAX_NAMES        = 10;   // per call; the UI sends names in batches
+const MAX_CANDIDATES   = 6;
+const POSITION_LOOKUPS = 3;    // player pages fetched per name for the position
+
+const SEARCH_URLS = [
+  (q) => `https://www.fotmob.com/api/search/suggest?term=${encodeURIComponent(q)}&lang=en`,
+  (q) => `https://www.fotmob.com/api/searchapi/suggest?term=${encodeURIComponent(q)}&lang=en`
+];
+
+const asNum = (v) => Number.isFinite(Number(v)) && v !== null && v !== "" ? Number(v) : null;
+const resp  = (code, obj) => ({ statusCode: code, headers:{ "content-type":"application/json" }, body: JSON.stringify(obj) });
+
+function* walk(root){
+  const stack=[root], seen=new Set();
+  while(stack.length){
+    const n=stack.pop();
+    if(!n || typeof n!=="object") continue;
+    if(seen.has(n)) continue;
+    seen.add(n); yield n;
+    for(const v of Object.values(n)) if(v && typeof v==="object") stack.push(v);
+  }
+}
+
+// Search suggest JSON -> player entries in FotMob's order (coaches, teams and leagues dropped)
+export function parseSuggestions(data){
+  const out = [], seen = new Set();
+  const lists = [];
+  for(const node of walk(data)){
+    for(const v of Object.values(node)) if(Array.isArray(v)) lists.push(v);
+  }
+  if(Array.isArray(data)) lists.unshift(data);
+  for(const list of lists){
+    for(const s of list){
+      if(!s || typeof s!=="object" || String(s.type||"").toLowerCase()!=="player" || s.isCoach) continue;
+      const id = asNum(s.id ?? s.playerId);
+      const name = s.name || s.title?.value || null;
+      if(!id || !name || seen.has(id)) continue;
+      seen.add(id);
+      out.push({
+        id, name,
+        url: normalizePlayerUrl(`https://www.fotmob.com/players/${id}/${slugOf(name)}`),
+        team_id: asNum(s.teamId ?? s.team?.id),
+        team_name: s.teamName || s.team?.name || null,
+        position: null
+      });
+    }
+  }
+  return out;
+}
+
+// How well a candidate's name covers the query: 3 exact, 2 every word starts a name word, 1 some word does, 0 none
+function matchLevel(query, name){
+  const q = normName(query), n = normName(name);
+  if(q === n) return 3;
+  const qt = q.split(/[\s.-]+/).filter(Boolean), nt = n.split(/[\s.-]+/).filter(Boolean);
+  const hits = qt.filter(w => nt.some(t => t.startsWith(w))).length;
+  if(qt.length && hits === qt.length) return 2;
+  return hits ? 1 : 0;
+}
+
+// Best match first; FotMob's own order (it knows nicknames like "Vini Jr") breaks ties
+export function rankCandidates(query, candidates){
+  const ranked = candidates
+    .map((c, i) => ({ ...c, match: matchLevel(query, c.name), i }))
+    .sort((a, b) => b.match - a.match || a.i - b.i)
+    .map(({ i, ...c }) => c);
+  const exact = ranked.filter(c => c.match === 3);
+  const best = exact.length === 1 ? exact[0].id : (ranked.length === 1 ? ranked[0].id : null);
+  return { candidates: ranked, best };
+}
+
+// The second endpoint is tried when the first is missing or unreadable; a rate limit is not worked around
+async function searchPlayers(query, deadline){
+  let lastErr = null;
+  for(const mk of SEARCH_URLS){
+    try{
+      return parseSuggestions(await fetchJSON(mk(query), { timeout_ms: FETCH_TO_MS, retries: 1, deadline }));
+    }catch(e){
+      lastErr = e;
+      if(e.code === "rate_limited") break;
+    }
+  }
+  throw lastErr || new HttpError("not_found", "search failed");
+}
+
+// Position (and current club, when search had none) from the player page
+async function playerDetails(url, deadline){
+  const { html } = await fetchHtml(url, { timeout_ms: FETCH_TO_MS, retries: 0, deadline });
+  const m = html.match(/<script[^>]*id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/i);
+  const next = m ? JSON.parse(m[1]) : null;
+  let position = null, team_id = null, team_name = null;
+  for(const node of walk(next)){
+    const pd = node?.positionDescription;
+    if(!position && pd) position = pd.primaryPosition?.label || pd.positions?.find(p => p.isMainPosition)?.strPos?.label || null;
+    if(!team_id && node?.primaryTeam?.teamId){ team_id = asNum(node.primaryTeam.teamId); team_name = node.primaryTeam.teamName || null; }
+    if(position && team_id) break;
+  }
+  return { position, team_id, team_name };
+}
+
+export async function resolveName(query, deadline){
+  const { candidates, best } = rankCandidates(query, (await searchPlayers(query, deadline)).slice(0, MAX_CANDIDATES));
+  for(const c of candidates.slice(0, POSITION_LOOKUPS)){
+    if(Date.now() + FETCH_TO_MS > deadline) break;
+    try{
+      const d = await playerDetails(c.url, deadline);
+      c.position = d.position;
+      if(!c.team_id && d.team_id){ c.team_id = d.team_id; c.team_name = d.team_name; }
+    }catch{ /* position stays null */ }
+  }
+  return { query, candidates, best };
+}
+
+export async function handler(event){
+  const deadline = Date.now() + BUDGET_MS;
+  resetHttpMetrics();
+  try{
+    let names = [];
+    if (event.httpMethod === "GET"){
+      const qp = event.queryStringParameters || {};
+      names = [qp.q];
+    } else if (event.httpMethod === "POST"){
+      try{ names = JSON.parse(event.body || "{}").names; }
+      catch{ return resp(400, { ok:false, error:"Bad JSON" }); }
+    } else {
+      return resp(400, { ok:false, error:"GET or POST required" });
+    }
+
+    names = Array.from(new Set((Array.isArray(names) ? names : []).map(n => String(n || "").trim()).filter(Boolean)));
+    if (!names.length) return resp(400, { ok:false, error:"Provide { names: [...] } or ?q=<player name>" });
+    if (names.length > MAX_NAMES) return resp(400, { ok:false, error:`At most ${MAX_NAMES} names per call` });
+
+    const results = [];
+    for (const q of names){
+      if (Date.now() + FETCH_TO_MS > deadline){ results.push({ query: q, candidates: [], best: null, error:"time budget exceeded" }); continue; }
+      try{ results.push(await resolveName(q, deadline)); }
+      catch(e){ results.push({ query: q, candidates: [], best: null, ...errorEnvelope(e) }); }
+    }
+    return resp(200, { ok:true, results, meta:{ http: httpMetrics() } });
+  }catch(e){
+    return resp(errorStatus(e), { ok:false, ...errorEnvelope(e) });
+  }
+}
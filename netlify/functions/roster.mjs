@@ -0,0 +1,40 @@
+// netlify/functions/roster.mjs
+// The saved league roster (lib/roster.mjs):
+//   GET                       -> players.csv text ("player name,url"), 404 until a roster is saved
+//   GET ?format=json          -> { ok, updated_at, players:[{ name, url, id }] }
+//   POST { players:[{ name, url }] } -> save as the canonical roster; returns { ok, count, updated_at }
+// POST needs the admin secret (netlify/lib/auth.mjs): the saved roster drives standings, picks and upcoming.
+
+import { toPlayersCsv } from "../../public/lib/roster.js";
+import { connectStore } from "../lib/store.mjs";
+import { getRoster, saveRoster } from "../lib/roster.mjs";
+import { errorEnvelope, errorStatus } from "../lib/http.mjs";
+import { adminRequired } from "../lib/auth.mjs";
+
+const resp = (code, obj) => ({ statusCode: code, headers:{ "content-type":"application/json", "cache-control":"no-store" }, body: JSON.stringify(obj) });
+
+export async function handler(event){
+  connectStore(event);
+  try{
+    if (event.httpMethod === "GET"){
+      const roster = await getRoster();
+      if (!roster) return resp(404, { ok:false, error:"No roster saved yet" });
+      if ((event.queryStringParameters || {}).format === "json") return resp(200, { ok:true, ...roster });
+      return { statusCode: 200, headers:{ "content-type":"text/csv; charset=utf-8", "cache-control":"no-store" }, body: toPlayersCsv(roster.players) };
+    }
+    if (event.httpMethod !== "POST") return resp(400, { ok:false, error:"GET or POST required" });
+    const denied = adminRequired(event);
+    if (denied) return resp(denied.status, { ok:false, error: denied.error, code: denied.code });
+
+    let body = {};
+    try{ body = JSON.parse(event.body || "{}"); }
+    catch{ return resp(400, { ok:false, error:"Bad JSON" }); }
+    if (!Array.isArray(body.players) || !body.players.length) return resp(400, { ok:false, error:"Provide { players: [{ name, url }] }" });
+
+    const roster = await saveRoster(body.players);
+    if (!roster) return resp(400, { ok:false, error:"No FotMob player URLs in players" });
+    return resp(200, { ok:true, count: roster.players.length, updated_at: roster.updated_at });
+  }catch(e){
+    return resp(errorStatus(e), { ok:false, ...errorEnvelope(e) });
+  }
+}
@@ -0,0 +1,50 @@
+// netlify/functions/runs.mjs
+// Run snapshots for incremental "since last run" updates (see public/lib/runs.js for the shape).
+//   GET ?season=2025-26&leagues=47,87          -> latest snapshot for that season + leagues (or null)
+//   GET ?season=...&leagues=...&list=1         -> stored snapshot ids, newest first
+//   GET ?id=<snapshot id>                      -> one snapshot
+//   POST { season, leagues, players, results } -> save as the new latest; returns its id
+// POST needs the admin secret (netlify/lib/auth.mjs) and results shaped like check.mjs rows.
+
+import { resolveSeasonConfig } from "../../public/lib/seasons.js";
+import { makeSnapshot, resultsErrors } from "../../public/lib/runs.js";
+import { connectStore } from "../lib/store.mjs";
+import { saveSnapshot, getSnapshot, latestSnapshot, listSnapshots } from "../lib/snapshots.mjs";
+import { errorEnvelope, errorStatus } from "../lib/http.mjs";
+import { adminRequired } from "../lib/auth.mjs";
+
+const resp = (code, obj) => ({ statusCode: code, headers:{ "content-type":"application/json" }, body: JSON.stringify(obj) });
+
+export async function handler(event){
+  connectStore(event);
+  try{
+    if (event.httpMethod === "GET"){
+      const qp = event.queryStringParameters || {};
+      if (qp.id) return resp(200, { ok:true, snapshot: await getSnapshot(qp.id) });
+      let cfg;
+      try{ cfg = resolveSeasonConfig({ season: qp.season, leagues: qp.leagues }); }
+      catch(e){ return resp(400, { ok:false, error:String(e.message || e) }); }
+      if (qp.list) return resp(200, { ok:true, ids: await listSnapshots(cfg.season, cfg.leagues) });
+      return resp(200, { ok:true, snapshot: await latestSnapshot(cfg.season, cfg.leagues) });
+    }
+    if (event.httpMethod !== "POST") return resp(400, { ok:false, error:"GET or POST required" });
+    const denied = adminRequired(event);
+    if (denied) return resp(denied.status, { ok:false, error: denied.error, code: denied.code });
+
+    let body = {};
+    try{ body = JSON.parse(event.body || "{}"); }
+    catch{ return resp(400, { ok:false, error:"Bad JSON" }); }
+    if (!Array.isArray(body.results) || (body.players != null && !Array.isArray(body.players))) return resp(400, { ok:false, error:"Provide { season, leagues, players, results }" });
+    const errors = resultsErrors(body.results);
+    if (errors.length) return resp(400, { ok:false, error:`Not check results: ${errors[0]}`, errors: errors.slice(0, 20) });
+
+    let cfg;
+    try{ cfg = resolveSeasonConfig({ season: body.season, leagues: body.leagues }); }
+    catch(e){ return resp(400, { ok:false, error:String(e.message || e) }); }
+
+    const saved = await saveSnapshot(makeSnapshot({ season: cfg.season, leagues: cfg.leagues, players: body.players, results: body.results }));
+    return resp(200, { ok:true, id: saved.id, latest_match_utc: saved.latest_match_utc });
+  }catch(e){
+    return resp(errorStatus(e), { ok:false, ...errorEnvelope(e) });
+  }
+}
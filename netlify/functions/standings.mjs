@@ -0,0 +1,20 @@
+// netlify/functions/standings.mjs
+// GET -> the standings artifact published by the scheduled refresh (refresh-standings.mjs):
+//   { season, leagues, updated_at, latest_match_utc, job_id, results }   (404 until the first refresh finishes)
+
+import { connectStore } from "../lib/store.mjs";
+import { getStandings } from "../lib/standings.mjs";
+import { errorEnvelope, errorStatus } from "../lib/http.mjs";
+
+const resp = (code, obj) => ({ statusCode: code, headers:{ "content-type":"application/json", "cache-control":"no-store" }, body: JSON.stringify(obj) });
+
+export async function handler(event){
+  connectStore(event);
+  try{
+    const artifact = await getStandings();
+    if (!artifact) return resp(404, { ok:false, error:"No standings published yet" });
+    return resp(200, { ok:true, ...artifact });
+  }catch(e){
+    return resp(errorStatus(e), { ok:false, ...errorEnvelope(e) });
+  }
+}
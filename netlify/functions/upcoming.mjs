@@ -0,0 +1,56 @@
+// netlify/functions/upcoming.mjs
+// Fixtures ahead for every rostered player's club, and which experts' picks play in each.
+//   GET ?days=7 (1–14) -> { ok, season, leagues, from, to, week_to, fixtures, players, experts, picks_locked, debug }
+// Clubs come from the players' latest matches in the published standings; players flagged blank have no
+// fixture going ahead in the next 7 days (see lib/upcoming.mjs).
+
+import { resolveSeasonConfig } from "../../public/lib/seasons.js";
+import { teamsFromResults } from "../../public/lib/picks.js";
+import { connectStore } from "../lib/store.mjs";
+import { fetchSite } from "../lib/site.mjs";
+import { loadRoster } from "../lib/roster.mjs";
+import { getStandings } from "../lib/standings.mjs";
+import { listEntries } from "../lib/picks.mjs";
+import { planFixtures, plannerExperts } from "../lib/upcoming.mjs";
+import { errorEnvelope, errorStatus, httpMetrics, resetHttpMetrics } from "../lib/http.mjs";
+import { getMatches, yyyymmdd } from "./calendar.mjs";
+
+const BUDGET_MS = 9000;
+const DAY_MS = 86400000;
+
+const resp = (code, obj) => ({ statusCode: code, headers:{ "content-type":"application/json", "cache-control":"no-store" }, body: JSON.stringify(obj) });
+
+export async function handler(event){
+  connectStore(event);
+  resetHttpMetrics();
+  const deadline = Date.now() + BUDGET_MS;
+  try{
+    const qp = event.queryStringParameters || {};
+    const days = qp.days === undefined || qp.days === "" ? 7 : Number(qp.days);
+    if (!Number.isInteger(days) || days < 1 || days > 14) return resp(400, { ok:false, error:"days must be a whole number from 1 to 14" });
+
+    let league, cfg;
+    try{
+      league = JSON.parse(await fetchSite("/league.json"));
+      cfg = resolveSeasonConfig({ season: league.season, leagues: league.leagues });
+    }catch(e){ return resp(400, { ok:false, error:String(e.message || e) }); }
+
+    const teams = teamsFromResults((await getStandings())?.results);
+    const players = (await loadRoster()).map(p => ({ name: p.name, id: p.id, ...(teams.get(p.id) || { team_id: null, team_name: null }) }));
+    const teamIds = new Set(players.map(p => p.team_id).filter(id => id !== null));
+
+    // Always scan a full week so blanks are known even for a shorter list
+    const now = new Date();
+    const to = new Date(now.getTime() + Math.max(days, 7) * DAY_MS);
+    const scan = teamIds.size
+      ? await getMatches(yyyymmdd(now), yyyymmdd(to), cfg.leagueIds, { concurrency:2, deadline, teamIds })
+      : { matches: [], fails: [], days_total: 0, days_scanned: 0 };
+
+    const { experts, picks_locked } = plannerExperts(await listEntries(), league, now);
+    const plan = planFixtures({ matches: scan.matches, players, experts, now, days });
+    return resp(200, { ok:true, season: cfg.season, leagues: cfg.leagues, ...plan, experts: experts.map(e => e.expert), picks_locked,
+      debug:{ failed_days: scan.fails, days_total: scan.days_total, days_scanned: scan.days_scanned, http: httpMetrics() } });
+  }catch(e){
+    return resp(errorStatus(e), { ok:false, ...errorEnvelope(e) });
+  }
+}
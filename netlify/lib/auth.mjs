@@ -0,0 +1,45 @@
+// netlify/lib/auth.mjs
+// Who may write. Functions that change shared state take the admin secret (env ADMIN_SECRET) in an
+// x-admin-secret header; their GETs stay public. With no ADMIN_SECRET set, writes are refused, not left open.
+// An expert changes their own picks with a per-expert token instead (expertToken).
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { expertKey } from "../../public/lib/picks.js";
+
+const adminSecret = () => String(process.env.ADMIN_SECRET || "");
+
+// Header value by case-insensitive name ("" when absent); Netlify lowercases them, netlify dev may not
+export function header(event, name){
+  const h = event?.headers || {};
+  const key = Object.keys(h).find(k => k.toLowerCase() === name);
+  return key === undefined ? "" : String(h[key] ?? "");
+}
+
+export function sameSecret(a, b){
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+export const isAdmin = (event) => !!adminSecret() && sameSecret(header(event, "x-admin-secret"), adminSecret());
+
+// -> null when the caller is the admin, else { status, error, code } for the error response
+export function adminRequired(event){
+  if (!adminSecret()) return { status: 503, error: "Writes are disabled until ADMIN_SECRET is set", code: "not_configured" };
+  if (!isAdmin(event)) return { status: 401, error: "Admin secret required (x-admin-secret header)", code: "unauthorized" };
+  return null;
+}
+
+// Derived from the admin secret, so nothing is stored: the admin hands tokens out (functions/picks.mjs
+// GET ?tokens=1) and a new ADMIN_SECRET replaces them all. null without a secret or an expert name.
+export function expertToken(expert){
+  const key = expertKey(expert || "");
+  if (!adminSecret() || !key) return null;
+  return createHmac("sha256", adminSecret()).update(`expert:${key}`).digest("base64url").slice(0, 20);
+}
+
+// Who is writing expert's picks: "admin", "expert:<name>" for that expert's token, else null
+export function picksCaller(event, expert, token){
+  if (isAdmin(event)) return "admin";
+  const want = expertToken(expert);
+  return want && token && sameSecret(token, want) ? `expert:${String(expert).trim()}` : null;
+}
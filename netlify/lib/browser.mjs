@@ -0,0 +1,83 @@
+// netlify/lib/browser.mjs
+// Last-resort rendering: load a FotMob page in headless Chromium (playwright-core + @sparticuz/chromium),
+// let its client-side code fetch the fixtures/match data, and hand back that data in the __NEXT_DATA__ shape
+// the extractors walk. Only used when BROWSER_FALLBACK=1 and enough of the time budget is left.
+// CHROMIUM_PATH points at a local Chrome/Chromium instead of the bundled one (e.g. on a laptop).
+
+import { HttpError, FOTMOB_HEADERS } from "./http.mjs";
+import { onWire, replayRoute } from "./recording.mjs";
+
+export const BROWSER_MIN_MS = 4000;   // no render starts with less time left than this
+const DATA_RE = /\/api\/(playerData|teams|fixtures|matchDetails|matches|data)\b/i;
+
+export const browserEnabled = () => /^(1|true|yes|on)$/i.test(String(process.env.BROWSER_FALLBACK || "").trim());
+
+// -> a Playwright browser; close it when done. Modules are imported here so functions that never render
+// don't load them.
+export async function launchBrowser({ timeout_ms = 8000 } = {}){
+  const { chromium } = await import("playwright-core");
+  let executablePath = process.env.CHROMIUM_PATH, args = [];
+  if (!executablePath){
+    const bundled = (await import("@sparticuz/chromium")).default;
+    executablePath = await bundled.executablePath();
+    args = bundled.args;
+  }
+  return chromium.launch({ executablePath, args, headless: true, timeout: timeout_ms });
+}
+
+// Render `url` and collect what the page loaded -> { next, api:[{ url, body }], ms }.
+// next is { props:{ pageProps }, api:[...bodies] }: the hydrated __NEXT_DATA__ page props plus every JSON body
+// the page fetched from FotMob's API, so collectMatchesFromNext/extractGeneral find fixtures in either.
+// opts.deadline (epoch ms) bounds the whole render; opts.route(url) -> { status?, contentType?, body } | null
+// serves every request from saved files instead of the network (tests, local debugging); FOTMOB_REPLAY sets one,
+// and FOTMOB_BASE sends the page to the mock server (recording.mjs).
+export async function renderNext(browser, url, { deadline = Date.now() + 8000, route = null } = {}){
+  const t0 = Date.now();
+  route = route ?? replayRoute();
+  const left = () => Math.max(1, deadline - Date.now());
+  if (deadline - t0 < 1000) throw new HttpError("timeout", "not enough time left to render", { url });
+  const context = await browser.newContext({ userAgent: FOTMOB_HEADERS["user-agent"], locale: "en-GB" });
+  const api = [], reads = [];
+  try{
+    const page = await context.newPage();
+    if (route){
+      await page.route("**/*", async (r) => {
+        const hit = await route(r.request().url());
+        if (!hit) return r.fulfill({ status: 404, body: "" });
+        return r.fulfill({ status: hit.status || 200, contentType: hit.contentType || "text/html", body: hit.body });
+      });
+    }
+    page.on("response", (res) => {
+      if (!DATA_RE.test(res.url()) || !/json/i.test(res.headers()["content-type"] || "")) return;
+      reads.push(res.json().then(body => api.push({ url: res.url(), body })).catch(() => {}));
+    });
+
+    let res;
+    try{ res = await page.goto(route ? url : onWire(url), { waitUntil: "domcontentloaded", timeout: left() }); }
+    catch(e){
+      const msg = String(e?.message || e).split("\n")[0];
+      throw e?.name === "TimeoutError"
+        ? new HttpError("timeout", `render timed out: ${msg}`, { url })
+        : new HttpError("network_error", msg, { url });
+    }
+    if (res && res.status() === 404) throw new HttpError("not_found", "HTTP 404 Not Found", { status: 404, url });
+    if (res && !res.ok()) throw new HttpError("http_error", `HTTP ${res.status()}`, { status: res.status(), url });
+
+    // The client-side data request, then a quiet network; either may never come within the budget
+    await page.waitForResponse(r => DATA_RE.test(r.url()), { timeout: Math.min(left(), 5000) }).catch(() => {});
+    await page.waitForLoadState("networkidle", { timeout: Math.min(left(), 2000) }).catch(() => {});
+    await Promise.all(reads);
+
+    const pageProps = await page.evaluate(() => {
+      // window.__NEXT_DATA__ is the script element itself until Next hydrates
+      const hydrated = window.__NEXT_DATA__;
+      if (hydrated?.props) return hydrated.props.pageProps ?? null;
+      const el = document.getElementById("__NEXT_DATA__");
+      try{ return el ? JSON.parse(el.textContent).props?.pageProps ?? null : null; }catch{ return null; }
+    }).catch(() => null);
+    if (!pageProps && !api.length) throw new HttpError("parse_error", "rendered page had no data", { url });
+    return { next: { props: { pageProps: pageProps || {} }, api: api.map(a => a.body) }, api, ms: Date.now() - t0 };
+  }finally{
+    await context.close().catch(() => {});
+  }
+}
@@ -0,0 +1,114 @@
+// netlify/lib/club-history.mjs
+// Which clubs a player represented inside a season window, from the player page's __NEXT_DATA__.
+// discover.mjs searches each club's fixtures for its own date range, so a January transfer
+// keeps both halves of the season.
+
+const asNum = (v) => Number.isFinite(Number(v)) && v !== null && v !== "" ? Number(v) : null;
+const day   = (iso) => (iso ? String(iso).slice(0, 10) : null);
+function toISO(v){ if(!v) return null; const d = new Date(v); return isNaN(d) ? null : d.toISOString(); }
+// "Brighton & Hove Albion" -> "brighton-hove-albion", "Bayern München" -> "bayern-munchen" (FotMob team URL slugs)
+export const teamSlug = (name) => name
+  ? String(name).toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")
+  : null;
+
+function* walk(root){
+  const stack=[root], seen=new Set();
+  while(stack.length){
+    const n=stack.pop();
+    if(!n || typeof n!=="object") continue;
+    if(seen.has(n)) continue;
+    seen.add(n); yield n;
+    for(const v of Object.values(n)) if(v && typeof v==="object") stack.push(v);
+  }
+}
+
+// Transfer rows ({ fromClubId, toClubId, transferDate, ... }), oldest first; loan returns are transfers too
+function transfersOf(root){
+  const out = [], seen = new Set();
+  for(const node of walk(root)){
+    for(const [k, arr] of Object.entries(node)){
+      if(!Array.isArray(arr) || !/transfer/i.test(k)) continue;
+      for(const t of arr){
+        const date = toISO(t?.transferDate ?? t?.date ?? t?.fromDate);
+        const toId = asNum(t?.toClubId ?? t?.toTeamId ?? t?.toClub?.id);
+        const fromId = asNum(t?.fromClubId ?? t?.fromTeamId ?? t?.fromClub?.id);
+        if(!date || (!toId && !fromId) || toId === fromId) continue;
+        const key = `${date}|${fromId}|${toId}`;
+        if(seen.has(key)) continue;
+        seen.add(key);
+        out.push({
+          date, fromId, toId,
+          fromName: (typeof t?.fromClub === "string" ? t.fromClub : t?.fromClub?.name) || t?.fromTeamName || null,
+          toName:   (typeof t?.toClub   === "string" ? t.toClub   : t?.toClub?.name)   || t?.toTeamName   || null
+        });
+      }
+    }
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Career entries ({ teamId, team, startDate, endDate }) when the page has no transfer list
+function careerOf(root){
+  const out = [];
+  for(const node of walk(root)){
+    if(!Array.isArray(node?.teamEntries)) continue;
+    for(const e of node.teamEntries){
+      const id = asNum(e?.teamId ?? e?.team?.id);
+      const from = toISO(e?.startDate);
+      if(!id || !from) continue;
+      out.push({ id, name: (typeof e?.team === "string" ? e.team : e?.team?.name) || e?.teamName || null, from, to: toISO(e?.endDate) });
+    }
+    if(out.length) break;
+  }
+  return out;
+}
+
+// -> [{ team_id, team_name, team_slug, from, to }] overlapping cfg.start..cfg.end, oldest first.
+// from/to are ISO dates or null (open-ended); fallback ({ id, name }) is used when the page has no history.
+export function clubSpellsFromNext(root, cfg, fallback = null){
+  let spells = [];
+  const transfers = transfersOf(root);
+  if(transfers.length){
+    const first = transfers[0];
+    if(first.fromId) spells.push({ id: first.fromId, name: first.fromName, from: null, to: first.date });
+    transfers.forEach((t, i) => {
+      if(t.toId) spells.push({ id: t.toId, name: t.toName, from: t.date, to: transfers[i + 1]?.date ?? null });
+    });
+  } else {
+    spells = careerOf(root);
+  }
+
+  const start = day(cfg.start.toISOString()), end = day(cfg.end.toISOString());
+  spells = spells.filter(s => (!s.from || day(s.from) <= end) && (!s.to || day(s.to) >= start));
+
+  // Back-to-back spells at one club (loan cut short, contract rows) are one spell
+  const merged = [];
+  for(const s of spells){
+    const prev = merged[merged.length - 1];
+    if(prev && prev.id === s.id){ prev.to = s.to; prev.name = prev.name || s.name; continue; }
+    merged.push({ ...s });
+  }
+  if(!merged.length && fallback?.id) merged.push({ id: fallback.id, name: fallback.name || null, from: null, to: null });
+
+  return merged.map(s => ({ team_id: s.id, team_name: s.name || null, team_slug: teamSlug(s.name), from: s.from, to: s.to }));
+}
+
+// Day-level, both ends inclusive: a transfer-day fixture can belong to either club, the team ids decide
+export function inSpell(iso, spell){
+  const d = day(iso);
+  if(!d) return false;
+  return (!spell.from || d >= day(spell.from)) && (!spell.to || d <= day(spell.to));
+}
+
+// The spell a fixture was played in: the club taking part whose dates cover the kickoff
+export function clubForMatch(spells, { iso, homeId, awayId }){
+  const playing = spells.filter(s => s.team_id === homeId || s.team_id === awayId);
+  const dated = playing.filter(s => inSpell(iso, s));
+  if(dated.length) return dated[0];
+  if(playing.length === 1) return playing[0];
+  if(homeId == null && awayId == null){
+    const covering = spells.filter(s => inSpell(iso, s));
+    if(covering.length === 1) return covering[0];
+  }
+  return null;
+}
@@ -0,0 +1,200 @@
+// netlify/lib/http.mjs
+// The one HTTP client for FotMob, shared by check, discover, calendar, resolve and upcoming.
+// Polite by default: per-host concurrency and spacing between requests, timeouts, retries with exponential
+// backoff and jitter, Retry-After honoured (a 429 cools the whole host down), typed errors and metrics.
+// Limits are per warm function instance; HTTP_CONCURRENCY / HTTP_MIN_INTERVAL_MS / HTTP_RETRIES override them.
+// Requests go out through recording.mjs, which can record them, replay them or send them to a mock server.
+
+import { transport } from "./recording.mjs";
+
+const UA = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36";
+export const FOTMOB_HEADERS = { "user-agent": UA, referer: "https://www.fotmob.com/", "accept-language": "en-GB,en;q=0.9" };
+const ACCEPT_HTML = "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8";
+const ACCEPT_JSON = "application/json";
+
+const envNum = (name, d) => { const v = Number(process.env[name]); return process.env[name] !== undefined && Number.isFinite(v) && v >= 0 ? v : d; };
+const DEFAULT_POLICY = {
+  concurrency:     envNum("HTTP_CONCURRENCY", 4),      // requests in flight per host
+  min_interval_ms: envNum("HTTP_MIN_INTERVAL_MS", 150), // between request starts, per host
+  retries:         envNum("HTTP_RETRIES", 2),
+  timeout_ms:      6000,
+  backoff_ms:      300,                                 // first retry waits 150–300ms, doubling each time
+  max_backoff_ms:  4000,
+  max_retry_after_ms: 10000                             // a longer Retry-After is reported, not waited for
+};
+
+// not_found (404/410), rate_limited (429, or 503 with Retry-After), timeout, parse_error,
+// http_error (any other status), network_error (DNS, reset, …)
+export const HTTP_ERROR_CODES = ["not_found", "rate_limited", "timeout", "parse_error", "http_error", "network_error"];
+const RETRYABLE = new Set(["rate_limited", "timeout", "network_error"]);
+
+export class HttpError extends Error {
+  constructor(code, message, { status = null, url = null, retry_after_ms = null } = {}){
+    super(message);
+    this.name = "HttpError";
+    this.code = code;
+    this.status = status;
+    this.url = url;
+    this.retry_after_ms = retry_after_ms;
+  }
+}
+
+// ---------- Per-host state: limits, queue, cooldown, metrics ----------
+const policies = new Map();   // host -> partial policy
+const hosts = new Map();      // host -> { active, waiting:[resolve], next_at, cooldown_until }
+let metrics = new Map();      // host -> counters
+
+export function setHostPolicy(host, policy){ policies.set(host, { ...(policies.get(host) || {}), ...policy }); }
+export const policyFor = (host) => ({ ...DEFAULT_POLICY, ...(policies.get(host) || {}) });
+
+function stateOf(host){
+  if (!hosts.has(host)) hosts.set(host, { active: 0, waiting: [], next_at: 0, cooldown_until: 0 });
+  return hosts.get(host);
+}
+function countersOf(host){
+  if (!metrics.has(host)) metrics.set(host, { requests: 0, ok: 0, retries: 0, errors: {}, not_sent: 0, throttled_ms: 0, ms: 0 });
+  return metrics.get(host);
+}
+
+// Counters per host since the last reset: { [host]: { requests, ok, retries, errors:{ code: n }, not_sent, throttled_ms, ms } }
+// not_sent: calls refused before a request went out (out of time, or the host cooling down after a 429)
+export function httpMetrics(){
+  return Object.fromEntries(Array.from(metrics, ([h, m]) => [h, { ...m, errors: { ...m.errors } }]));
+}
+export function resetHttpMetrics(){ metrics = new Map(); }
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const pick = (o, keys) => Object.fromEntries(keys.filter(k => o[k] !== undefined).map(k => [k, o[k]]));
+
+// Wait for a slot under the host's concurrency and spacing; false when the deadline comes first
+// or the host is cooling down for longer than a Retry-After we'd wait for
+async function acquire(host, policy, deadline){
+  const st = stateOf(host), m = countersOf(host);
+  const t0 = Date.now();
+  while (st.active >= policy.concurrency) await new Promise(r => st.waiting.push(r));
+  if (st.cooldown_until - Date.now() > policy.max_retry_after_ms){ st.waiting.shift()?.(); return false; }
+  st.active += 1;
+  const start = Math.max(Date.now(), st.next_at, st.cooldown_until);
+  st.next_at = start + policy.min_interval_ms;
+  if (start > deadline){ release(host); return false; }
+  if (start > Date.now()) await sleep(start - Date.now());
+  m.throttled_ms += Date.now() - t0;
+  return true;
+}
+function release(host){
+  const st = stateOf(host);
+  st.active -= 1;
+  st.waiting.shift()?.();
+}
+
+// Retry-After: delta seconds or an HTTP date -> ms (null when absent or unreadable)
+export function parseRetryAfter(value, now = Date.now()){
+  if (value === null || value === undefined || value === "") return null;
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) return Math.round(Number(value) * 1000);
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? null : Math.max(0, t - now);
+}
+
+function errorForStatus(res, url){
+  const retry_after_ms = parseRetryAfter(res.headers?.get?.("retry-after"));
+  const opts = { status: res.status, url, retry_after_ms };
+  if (res.status === 404 || res.status === 410) return new HttpError("not_found", `HTTP ${res.status} ${res.statusText || "Not Found"}`, opts);
+  if (res.status === 429 || (res.status === 503 && retry_after_ms !== null)) return new HttpError("rate_limited", `HTTP ${res.status} rate limited`, opts);
+  const err = new HttpError("http_error", `HTTP ${res.status} ${res.statusText || ""}`.trim(), opts);
+  err.retryable = res.status >= 500 || res.status === 408;
+  return err;
+}
+
+async function once(url, host, policy, { headers, method, body, redirect, timeout_ms, deadline }){
+  if (!(await acquire(host, policy, deadline))){
+    const cooling = stateOf(host).cooldown_until - Date.now();
+    const err = cooling > 0
+      ? new HttpError("rate_limited", `${host} is rate limited for another ${Math.ceil(cooling / 1000)}s`, { url, retry_after_ms: cooling })
+      : new HttpError("timeout", "time budget exceeded before the request started", { url });
+    err.not_sent = true;
+    throw err;
+  }
+  const m = countersOf(host);
+  m.requests += 1;
+  const ms = Math.max(1, Math.min(timeout_ms, deadline - Date.now()));
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), ms);
+  const t0 = Date.now();
+  try{
+    const res = await transport(url, { method, headers, body, redirect, signal: ctrl.signal });
+    const text = await res.text();
+    if (!res.ok) throw errorForStatus(res, url);
+    m.ok += 1;
+    return { status: res.status, url: res.url || url, headers: res.headers, text };
+  }catch(e){
+    if (e instanceof HttpError) throw e;
+    if (ctrl.signal.aborted || e?.name === "AbortError") throw new HttpError("timeout", `timed out after ${ms}ms`, { url });
+    throw new HttpError("network_error", String(e?.cause?.message || e?.message || e), { url });
+  }finally{
+    clearTimeout(timer);
+    m.ms += Date.now() - t0;
+    release(host);
+  }
+}
+
+// -> { status, url (after redirects), headers, text }; throws HttpError.
+// opts: headers, method, body, redirect, timeout_ms, retries, deadline (epoch ms: no request starts or
+//       retry waits past it), plus any policy field to override for this call.
+export async function request(url, opts = {}){
+  const host = new URL(url).host;
+  const policy = { ...policyFor(host), ...pick(opts, Object.keys(DEFAULT_POLICY)) };
+  const call = {
+    headers: { ...FOTMOB_HEADERS, ...(opts.headers || {}) },
+    method: opts.method || "GET", body: opts.body, redirect: opts.redirect || "follow",
+    timeout_ms: policy.timeout_ms, deadline: opts.deadline ?? Infinity
+  };
+  for (let attempt = 0; ; attempt++){
+    try{ return await once(url, host, policy, call); }
+    catch(e){
+      const m = countersOf(host);
+      if (e.not_sent){ m.not_sent += 1; throw e; }
+      m.errors[e.code] = (m.errors[e.code] || 0) + 1;
+      const backoff = Math.min(policy.max_backoff_ms, policy.backoff_ms * 2 ** attempt);
+      const wait = e.retry_after_ms ?? Math.round(backoff / 2 + Math.random() * backoff / 2);
+      // Every caller on this instance waits out a rate limit, not just this one
+      if (e.code === "rate_limited" && e.status !== null){ const st = stateOf(host); st.cooldown_until = Math.max(st.cooldown_until, Date.now() + wait); }
+      const retryable = RETRYABLE.has(e.code) || e.retryable;
+      if (!retryable || attempt >= policy.retries) throw e;
+      if (e.retry_after_ms !== null && e.retry_after_ms > policy.max_retry_after_ms) throw e;
+      if (Date.now() + wait > call.deadline) throw e;
+      m.retries += 1;
+      await sleep(wait);
+    }
+  }
+}
+// Page HTML -> { html, finalUrl }; an empty body is a parse_error
+export async function fetchHtml(url, opts = {}){
+  const res = await request(url, { ...opts, headers: { accept: ACCEPT_HTML, ...(opts.headers || {}) } });
+  if (!res.text) throw new HttpError("parse_error", "Empty HTML", { status: res.status, url });
+  return { html: res.text, finalUrl: res.url };
+}
+
+// JSON API -> parsed body
+export async function fetchJSON(url, opts = {}){
+  const res = await request(url, { ...opts, headers: { accept: ACCEPT_JSON, ...(opts.headers || {}) } });
+  try{ return JSON.parse(res.text); }
+  catch{ throw new HttpError("parse_error", `Bad JSON: ${res.text.slice(0, 120)}`, { status: res.status, url }); }
+}
+
+// ---------- Error envelope for function responses ----------
+const STATUS_BY_CODE = { not_found: 404, rate_limited: 429, timeout: 504, parse_error: 502, http_error: 502, network_error: 502 };
+
+// Any error -> { error, code, status?, url?, retry_after_ms?, attempts? }; errors that aren't HttpErrors are "internal"
+export function errorEnvelope(e){
+  const out = { error: String(e?.message || e), code: e instanceof HttpError ? e.code : "internal" };
+  if (e instanceof HttpError){
+    if (e.status !== null) out.status = e.status;
+    if (e.url) out.url = e.url;
+    if (e.retry_after_ms !== null) out.retry_after_ms = e.retry_after_ms;
+  }
+  if (Array.isArray(e?.attempts) && e.attempts.length > 1) out.attempts = e.attempts;   // sources.mjs: every source tried
+  return out;
+}
+
+// HTTP status a function answers with for an error
+export const errorStatus = (e) => (e instanceof HttpError ? STATUS_BY_CODE[e.code] || 502 : 500);
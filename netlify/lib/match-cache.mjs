@@ -0,0 +1,55 @@
+// netlify/lib/match-cache.mjs
+// Persistent cache of parsed match-page __NEXT_DATA__, keyed by FotMob match id.
+// Only finished fixtures are stored (they never change); live/upcoming ones are always refetched.
+// Shared by discover.mjs (match-page enrichment) and check.mjs.
+
+import { openStore } from "./store.mjs";
+import { matchStatusOf } from "./match-status.mjs";
+
+const STORE_NAME    = "match-pages";
+const CACHE_VERSION = "v1"; // bump to drop every entry (e.g. when the stored shape changes)
+
+const keyOf = (matchId) => `${CACHE_VERSION}/${matchId}`;
+
+// Abandoned, postponed or awarded fixtures can still change, so only "finished" counts as done
+export function isMatchFinished(next){
+  return matchStatusOf(next) === "finished";
+}
+
+// Keep only what the extractors walk (drops build ids, i18n blobs, etc.)
+const slim = (next) => next?.props?.pageProps ? { props: { pageProps: next.props.pageProps } } : next;
+
+// load: async () => { next: parsed __NEXT_DATA__, source } (sources.mjs loadMatch; throws on fetch/parse failure)
+// -> { next, cached, source } — source is the one that first served the page (entries from before sources
+// were recorded came from the HTML page)
+export async function getCachedMatch(matchId, load, { refresh = false } = {}){
+  const store = openStore(STORE_NAME);
+  if(matchId && !refresh){
+    const hit = await store.get(keyOf(matchId)).catch(() => null);
+    if(hit?.next) return { next: hit.next, cached: true, source: hit.source || "html" };
+  }
+  const { next, source = null } = await load();
+  if(matchId && isMatchFinished(next)){
+    await store.set(keyOf(matchId), { matchId: String(matchId), savedAt: new Date().toISOString(), source, next: slim(next) }).catch(() => {});
+  }
+  return { next, cached: false, source };
+}
+
+export async function invalidateMatches(matchIds){
+  const store = openStore(STORE_NAME);
+  for(const id of matchIds) await store.delete(keyOf(id));
+  return matchIds.length;
+}
+
+export async function clearMatchCache(){
+  const store = openStore(STORE_NAME);
+  const keys = await store.list("");
+  for(const k of keys) await store.delete(k);
+  return keys.length;
+}
+
+export async function matchCacheStats(){
+  const store = openStore(STORE_NAME);
+  const keys = await store.list(`${CACHE_VERSION}/`);
+  return { backend: store.backend, version: CACHE_VERSION, entries: keys.length };
+}
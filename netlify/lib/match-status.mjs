@@ -0,0 +1,50 @@
+// netlify/lib/match-status.mjs
+// One status per fixture, shared by check.mjs, discover.mjs, calendar.mjs and the match cache.
+// Only "finished" matches are scored; everything else is provisional or void.
+
+export const MATCH_STATUSES = ["finished", "live", "scheduled", "postponed", "cancelled", "abandoned", "awarded"];
+
+// FotMob status object ({ started, finished, cancelled, awarded, reason:{ short, long } }) -> one of MATCH_STATUSES, or null
+// FotMob sets cancelled:true on postponed and abandoned matches too, so the reason text is checked first.
+export function classifyStatus(st){
+  if (!st || typeof st !== "object") return null;
+  const known = ["started", "finished", "cancelled", "awarded", "reason"].some(k => k in st);
+  if (!known) return null;
+  const text = [st.reason?.short, st.reason?.long, st.reason?.shortKey, st.reason?.longKey, st.statusStr]
+    .filter(Boolean).join("|").toLowerCase();
+  const word = (re) => new RegExp(`(^|[^a-z])(${re})($|[^a-z])`).test(text);
+
+  if (st.awarded === true || text.includes("awarded")) return "awarded";
+  if (text.includes("abandon") || word("ab")) return "abandoned";
+  if (text.includes("postpon") || word("pp")) return "postponed";
+  if (st.cancelled === true || text.includes("cancel") || word("canc")) return "cancelled";
+  if (st.finished === true) return "finished";
+  if (st.started === true) return "live";
+  return "scheduled";
+}
+
+function* walkS(root){
+  const stack=[root], seen=new Set();
+  while(stack.length){
+    const n=stack.pop();
+    if(!n || typeof n!=="object") continue;
+    if(seen.has(n)) continue;
+    seen.add(n); yield n;
+    for(const v of Object.values(n)) if(v && typeof v==="object") stack.push(v);
+  }
+}
+
+// Parsed match page -> status: header.status first, then general's started/finished flags; null if neither exists
+export function matchStatusOf(next){
+  for(const node of walkS(next)){
+    const st = node?.header?.status;
+    const s = classifyStatus(st);
+    if(s) return s;
+  }
+  for(const node of walkS(next)){
+    const g = node?.general;
+    if(!g || (typeof g.finished !== "boolean" && typeof g.started !== "boolean")) continue;
+    return classifyStatus({ started: g.started, finished: g.finished, cancelled: g.cancelled });
+  }
+  return null;
+}
@@ -0,0 +1,35 @@
+// netlify/lib/picks.mjs
+// Saved expert entries and their change log (store "picks"), written by functions/picks.mjs.
+//   entry/<expert key> -> { expert, players:[{ name, url, id }], source, submitted_at, updated_at }
+//   log/<iso time>-<id> -> { at, expert, action, source, by, before, after, errors }   (append-only; by: "admin" | "expert:<name>")
+
+import { randomUUID } from "node:crypto";
+import { openStore } from "./store.mjs";
+import { expertKey } from "../../public/lib/picks.js";
+
+const STORE_NAME = "picks";
+const store = () => openStore(STORE_NAME);
+
+export async function listEntries(){
+  const keys = await store().list("entry/");
+  const entries = await Promise.all(keys.map(k => store().get(k)));
+  return entries.filter(Boolean).sort((a, b) => a.expert.localeCompare(b.expert));
+}
+
+export async function saveEntry(entry){
+  await store().set(`entry/${expertKey(entry.expert)}`, entry);
+  return entry;
+}
+
+// Every submission is logged, rejected ones too; keys sort by time
+export async function appendLog(rec){
+  const at = new Date().toISOString();
+  const row = { at, ...rec };
+  await store().set(`log/${at}-${randomUUID().slice(0, 6)}`, row);
+  return row;
+}
+
+export async function listLog(){
+  const keys = (await store().list("log/")).sort();
+  return (await Promise.all(keys.map(k => store().get(k)))).filter(Boolean);
+}
@@ -0,0 +1,133 @@
+// netlify/lib/recording.mjs
+// Record/replay for the HTTP client (http.mjs sends every request through transport()), set by env:
+//   FOTMOB_RECORD=<dir>  fetch live and save each response under <dir>/<host>/
+//   FOTMOB_REPLAY=<dir>  answer from <dir> only, never the network; a request with no recording is a 404
+//   FOTMOB_BASE=<url>    send FotMob requests to another origin, e.g. the mock server (scripts/mock-fotmob.mjs)
+// One file per URL: { url, status, content_type, retry_after, recorded_at, json | body }, JSON bodies kept
+// as JSON so a recording reads and diffs well. A recording directory can be attached to a bug report as is.
+
+import { mkdir, readFile, writeFile, readdir } from "node:fs/promises";
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { join } from "node:path";
+
+const FOTMOB_ORIGIN = "https://www.fotmob.com";
+
+// <dir>/<host>/<path and query, made file-safe>.<hash of the full URL>.json
+export function recordingPath(dir, url){
+  const u = new URL(url);
+  const name = `${u.pathname}${u.search}`.replace(/^\//, "").replace(/[^A-Za-z0-9._=-]+/g, "_").slice(0, 120) || "index";
+  const hash = createHash("sha1").update(u.href).digest("hex").slice(0, 8);
+  return join(dir, u.host, `${name}.${hash}.json`);
+}
+
+export async function saveRecording(dir, url, { status, headers, body }){
+  const content_type = headers?.get?.("content-type") || null;
+  const entry = { url, status, content_type, retry_after: headers?.get?.("retry-after") || null, recorded_at: new Date().toISOString() };
+  let json;
+  if (/json/i.test(content_type || "")){ try{ json = JSON.parse(body); }catch{ /* kept as text */ } }
+  if (json !== undefined) entry.json = json; else entry.body = body;
+  const file = recordingPath(dir, url);
+  await mkdir(join(file, ".."), { recursive: true });
+  await writeFile(file, JSON.stringify(entry, null, 2));
+  return file;
+}
+
+// -> { url, status, contentType, retryAfter, body } | null when nothing was recorded for the URL
+export async function readRecording(dir, url){
+  let entry;
+  try{ entry = JSON.parse(await readFile(recordingPath(dir, url), "utf8")); }
+  catch(e){ if (e.code === "ENOENT") return null; throw e; }
+  return {
+    url: entry.url, status: entry.status, contentType: entry.content_type, retryAfter: entry.retry_after,
+    body: entry.json !== undefined ? JSON.stringify(entry.json) : entry.body ?? ""
+  };
+}
+
+// Every recording in dir -> [{ url, status, file }]
+export async function listRecordings(dir){
+  const out = [];
+  for (const host of await readdir(dir).catch(() => [])){
+    for (const f of await readdir(join(dir, host)).catch(() => [])){
+      if (!f.endsWith(".json")) continue;
+      const { url, status } = JSON.parse(await readFile(join(dir, host, f), "utf8"));
+      out.push({ url, status, file: join(host, f) });
+    }
+  }
+  return out.sort((a, b) => a.url.localeCompare(b.url));
+}
+
+function headersOf(rec){
+  const headers = {};
+  if (rec.contentType) headers["content-type"] = rec.contentType;
+  if (rec.retryAfter) headers["retry-after"] = rec.retryAfter;
+  return headers;
+}
+function toResponse(rec){
+  const empty = rec.status === 204 || rec.status === 304;
+  return new Response(empty ? null : rec.body, { status: rec.status, headers: headersOf(rec) });
+}
+const notRecorded = () => new Response("", { status: 404, statusText: "Not Recorded" });
+
+// The URL actually requested: FotMob URLs moved to FOTMOB_BASE when it's set
+export function onWire(url, base = process.env.FOTMOB_BASE){
+  if (!base || !String(url).startsWith(FOTMOB_ORIGIN)) return String(url);
+  return String(base).replace(/\/+$/, "") + String(url).slice(FOTMOB_ORIGIN.length);
+}
+
+// fetch() as http.mjs uses it, with the record/replay mode applied; env is read per call
+export async function transport(url, init){
+  const replay = process.env.FOTMOB_REPLAY, record = process.env.FOTMOB_RECORD;
+  if (replay){
+    const rec = await readRecording(replay, url);
+    return rec ? toResponse(rec) : notRecorded();
+  }
+  const res = await fetch(onWire(url), init);
+  if (!record) return res;
+  const body = await res.text();
+  await saveRecording(record, url, { status: res.status, headers: res.headers, body });
+  return toResponse({ status: res.status, contentType: res.headers.get("content-type"), retryAfter: res.headers.get("retry-after"), body });
+}
+
+// browser.mjs renderNext route serving FOTMOB_REPLAY, so a replayed render never reaches the network
+export function replayRoute(dir = process.env.FOTMOB_REPLAY){
+  if (!dir) return null;
+  return async (url) => {
+    const rec = await readRecording(dir, url);
+    return rec && { status: rec.status, contentType: rec.contentType || "text/html", body: rec.body };
+  };
+}
+
+// HTTP server answering from a recording directory as if it were `origin`: GET /api/matchDetails?matchId=1
+// serves the recording of https://www.fotmob.com/api/matchDetails?matchId=1. GET /__recordings lists them.
+// record: true fetches a missing URL from origin and saves it first (a recording proxy).
+// onRequest({ method, url, status, hit }) is called per request (logging).
+export function mockServer(dir, { origin = FOTMOB_ORIGIN, record = false, onRequest = null } = {}){
+  return createServer(async (req, res) => {
+    const url = origin.replace(/\/+$/, "") + req.url;
+    try{
+      if (req.url === "/__recordings"){
+        res.writeHead(200, { "content-type": "application/json" });
+        return res.end(JSON.stringify(await listRecordings(dir), null, 2));
+      }
+      let rec = req.method === "GET" ? await readRecording(dir, url) : null;
+      const hit = !!rec;
+      if (!rec && record && req.method === "GET"){
+        const live = await fetch(url, { headers: { "user-agent": req.headers["user-agent"] || "", accept: req.headers.accept || "*/*" } });
+        const body = await live.text();
+        await saveRecording(dir, url, { status: live.status, headers: live.headers, body });
+        rec = await readRecording(dir, url);
+      }
+      onRequest?.({ method: req.method, url, status: rec ? rec.status : 404, hit });
+      if (!rec){
+        res.writeHead(404, "Not Recorded", { "content-type": "text/plain" });
+        return res.end(`no recording for ${url}\n`);
+      }
+      res.writeHead(rec.status, headersOf(rec));
+      res.end(rec.body);
+    }catch(e){
+      res.writeHead(500, { "content-type": "text/plain" });
+      res.end(String(e?.message || e));
+    }
+  });
+}
@@ -0,0 +1,30 @@
+// netlify/lib/roster.mjs
+// The canonical league roster, saved from the checker UI once every name is resolved to a FotMob URL.
+// Served as players.csv by functions/roster.mjs; the static public/players.csv is the fallback until one is saved.
+
+import { openStore } from "./store.mjs";
+import { fetchSite } from "./site.mjs";
+import { parsePlayersCsv, toPlayersCsv } from "../../public/lib/roster.js";
+
+const STORE_NAME = "roster";
+const KEY = "players";
+
+// [{ name, url }] -> saved { updated_at, players:[{ name, url, id }] }; rows without a player URL are dropped,
+// and nothing is saved (null) when none is left
+export async function saveRoster(players){
+  const clean = parsePlayersCsv(toPlayersCsv(players));
+  if (!clean.length) return null;
+  const roster = { updated_at: new Date().toISOString(), players: clean };
+  await openStore(STORE_NAME).set(KEY, roster);
+  return roster;
+}
+
+export async function getRoster(){
+  return openStore(STORE_NAME).get(KEY);
+}
+
+// The roster functions work from: the saved one, else the deployed /players.csv
+export async function loadRoster(){
+  const saved = await getRoster();
+  return saved?.players?.length ? saved.players : parsePlayersCsv(await fetchSite("/players.csv"));
+}
@@ -0,0 +1,11 @@
+// netlify/lib/site.mjs
+// Static files of the deployed site (league.json, players.csv) for functions that need them server-side.
+// SITE_URL overrides Netlify's URL (e.g. for netlify dev).
+
+export const siteUrl = () => (process.env.SITE_URL || process.env.URL || "http://localhost:8888").replace(/\/+$/, "");
+
+export async function fetchSite(path){
+  const res = await fetch(`${siteUrl()}${path}`, { headers:{ "cache-control":"no-cache" } });
+  if (!res.ok) throw new Error(`${path}: HTTP ${res.status}`);
+  return res.text();
+}
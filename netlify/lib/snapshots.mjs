@@ -0,0 +1,31 @@
+// netlify/lib/snapshots.mjs
+// Stored run snapshots (players, discovered match ids, per-match results), one "latest" per season + leagues.
+
+import { openStore } from "./store.mjs";
+
+const STORE_NAME = "runs";
+
+const scopeOf = (season, leagues) => `${season}/${[...leagues].map(Number).sort((a,b)=>a-b).join("-")}`;
+
+export async function saveSnapshot(snap){
+  const store = openStore(STORE_NAME);
+  const scope = scopeOf(snap.season, snap.leagues);
+  const id = `${scope}/${(snap.created_at || new Date().toISOString()).replace(/[:.]/g, "")}`;
+  const saved = { ...snap, id };
+  await store.set(id, saved);
+  await store.set(`${scope}/latest`, saved);
+  return saved;
+}
+
+export async function getSnapshot(id){
+  return openStore(STORE_NAME).get(id);
+}
+
+export async function latestSnapshot(season, leagues){
+  return openStore(STORE_NAME).get(`${scopeOf(season, leagues)}/latest`);
+}
+
+export async function listSnapshots(season, leagues){
+  const keys = await openStore(STORE_NAME).list(`${scopeOf(season, leagues)}/`);
+  return keys.filter(k => !k.endsWith("/latest")).sort().reverse();
+}
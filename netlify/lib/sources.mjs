@@ -0,0 +1,116 @@
+// netlify/lib/sources.mjs
+// Where match and player data comes from. Each source returns the same __NEXT_DATA__ shape
+// ({ props:{ pageProps } }), so check's and discover's extractors run unchanged whichever one served it:
+//   json – FotMob's JSON API (api/matchDetails, api/playerData), whose body is the page's pageProps
+//   html – the page itself, parsed from its embedded __NEXT_DATA__ script
+//   browser – the page rendered in headless Chromium (browser.mjs); optional, last, and only with the budget for it
+// Sources are tried in order (FOTMOB_SOURCES, default "json,html", plus "browser" when BROWSER_FALLBACK=1); the
+// next one is tried when a source is missing, unreadable or fails, but not on a rate limit — that host is cooling
+// down for every source.
+
+import { fetchJSON, fetchHtml, HttpError, errorEnvelope } from "./http.mjs";
+import { browserEnabled, launchBrowser, renderNext, BROWSER_MIN_MS } from "./browser.mjs";
+
+const BASE = "https://www.fotmob.com";
+const NEXT_DATA_RE = /<script[^>]*id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/i;
+
+// Parsed __NEXT_DATA__ from a page's HTML (parse_error when missing or malformed)
+export function nextDataFromHtml(html, url = null){
+  const m = String(html || "").match(NEXT_DATA_RE);
+  if (!m) throw new HttpError("parse_error", "NEXT_DATA not found", { url });
+  try{ return JSON.parse(m[1]); }
+  catch{ throw new HttpError("parse_error", "NEXT_DATA JSON parse failed", { url }); }
+}
+
+const asPage = (pageProps) => ({ props: { pageProps } });
+
+// An API body that isn't the expected object (an error page, a login wall, {}) is a parse_error
+function expect(ok, what, url){
+  if (!ok) throw new HttpError("parse_error", `${what} JSON has no ${what} data`, { url });
+}
+
+// One browser per render: these loads are rare, and a warm function shouldn't keep Chromium around
+async function rendered(url, opts){
+  const deadline = opts.deadline ?? Date.now() + 2 * BROWSER_MIN_MS;
+  if (deadline - Date.now() < BROWSER_MIN_MS) throw new HttpError("timeout", "not enough time left to render", { url });
+  const browser = await launchBrowser({ timeout_ms: Math.min(5000, deadline - Date.now() - 1000) });
+  try{ return (await renderNext(browser, url, { deadline, route: opts.route })).next; }
+  finally{ await browser.close().catch(() => {}); }
+}
+
+// kind -> [{ id, optional?, load(id, opts) -> __NEXT_DATA__ }], in default order; push a source to add one.
+// optional sources run only when named in FOTMOB_SOURCES / opts.sources (or, for browser, BROWSER_FALLBACK=1)
+export const SOURCES = {
+  match: [
+    { id: "json", async load(matchId, opts){
+      const url = `${BASE}/api/matchDetails?matchId=${matchId}`;
+      const data = await fetchJSON(url, opts);
+      expect(data?.general || data?.header, "match", url);
+      return asPage(data);
+    } },
+    { id: "html", async load(matchId, opts){
+      const url = `${BASE}/match/${matchId}`;
+      const { html } = await fetchHtml(url, opts);
+      return nextDataFromHtml(html, url);
+    } },
+    { id: "browser", optional: true, async load(matchId, opts){
+      const next = await rendered(`${BASE}/match/${matchId}`, opts);
+      // the rendered page's own props, else the matchDetails body it fetched
+      if (next.props.pageProps.general || next.props.pageProps.header) return next;
+      const data = next.api.find(b => b?.general || b?.header);
+      expect(data, "match", `${BASE}/match/${matchId}`);
+      return asPage(data);
+    } }
+  ],
+  player: [
+    { id: "json", async load(playerId, opts){
+      const url = `${BASE}/api/playerData?id=${playerId}`;
+      const data = await fetchJSON(url, opts);
+      expect(data?.id || data?.name, "player", url);
+      return asPage({ data });
+    } },
+    { id: "html", async load(playerId, opts){
+      const url = opts.pageUrl || `${BASE}/players/${playerId}`;
+      const { html } = await fetchHtml(url, opts);
+      return nextDataFromHtml(html, url);
+    } },
+    { id: "browser", optional: true, async load(playerId, opts){
+      return rendered(opts.pageUrl || `${BASE}/players/${playerId}`, opts);
+    } }
+  ]
+};
+
+// Source ids in the order to try them: opts.sources, else FOTMOB_SOURCES, else every registered source
+// (optional ones only when enabled)
+export function sourceOrder(kind, sources = process.env.FOTMOB_SOURCES){
+  const known = SOURCES[kind].map(s => s.id);
+  const wanted = (Array.isArray(sources) ? sources : String(sources || "").split(","))
+    .map(s => String(s).trim().toLowerCase()).filter(s => known.includes(s));
+  if (wanted.length) return Array.from(new Set(wanted));
+  return SOURCES[kind].filter(s => !s.optional || (s.id === "browser" && browserEnabled())).map(s => s.id);
+}
+
+// -> { next, source, attempts:[{ source, code, error }] } (attempts: the sources that failed first).
+// Throws the last source's error when none succeeds. opts: sources, pageUrl (player page), route (browser, see
+// browser.mjs renderNext), and http.mjs options.
+async function load(kind, id, opts = {}){
+  const { sources, ...httpOpts } = opts;
+  const attempts = [];
+  let last = null;
+  for (const sid of sourceOrder(kind, sources)){
+    const src = SOURCES[kind].find(s => s.id === sid);
+    try{
+      return { next: await src.load(id, httpOpts), source: sid, attempts };
+    }catch(e){
+      last = e;
+      const { code, error } = errorEnvelope(e);
+      attempts.push({ source: sid, code, error });
+      if (code === "rate_limited") break;
+    }
+  }
+  if (last) last.attempts = attempts;
+  throw last || new HttpError("not_found", `no ${kind} source configured`);
+}
+
+export const loadMatch  = (matchId, opts) => load("match", matchId, opts);
+export const loadPlayer = (playerId, opts) => load("player", playerId, opts);
@@ -0,0 +1,25 @@
+// netlify/lib/standings.mjs
+// Published league standings artifact: the results the root dashboard scores, plus when they were refreshed.
+// Written when a scheduled refresh job finishes (jobs.mjs), served by functions/standings.mjs.
+
+import { openStore } from "./store.mjs";
+import { latestKickoff } from "../../public/lib/runs.js";
+
+const STORE_NAME = "standings";
+const KEY = "latest";
+
+export async function publishStandings({ season, leagues, results, job_id }){
+  const artifact = {
+    season, leagues,
+    updated_at: new Date().toISOString(),
+    latest_match_utc: latestKickoff(results),
+    job_id: job_id || null,
+    results
+  };
+  await openStore(STORE_NAME).set(KEY, artifact);
+  return artifact;
+}
+
+export async function getStandings(){
+  return openStore(STORE_NAME).get(KEY);
+}
@@ -0,0 +1,66 @@
+// netlify/lib/store.mjs
+// Tiny JSON key/value store used by the functions for caches and saved state.
+//  - Netlify Blobs when the function runs on Netlify (call connectStore(event) first in v1 handlers)
+//  - Local files under STORE_DIR (default ./.data) in `netlify dev`, plain Node, or with STORE_BACKEND=file
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { connectLambda, getStore as getBlobStore } from "@netlify/blobs";
+
+const STORE_DIR = process.env.STORE_DIR || path.join(process.cwd(), ".data");
+
+let blobsReady = false;
+
+// Wire Netlify Blobs credentials from a Lambda-style event (no-op outside Netlify)
+export function connectStore(event){
+  if (blobsReady || process.env.STORE_BACKEND === "file" || process.env.NETLIFY_DEV === "true") return;
+  if (event?.blobs){
+    try{ connectLambda(event); blobsReady = true; }catch{ /* fall back to files */ }
+  } else if (process.env.NETLIFY_BLOBS_CONTEXT){
+    blobsReady = true;
+  }
+}
+
+function fileStore(name){
+  const dir = path.join(STORE_DIR, name);
+  const fileOf = (key) => path.join(dir, encodeURIComponent(key) + ".json");
+  return {
+    backend: "file",
+    async get(key){
+      try{ return JSON.parse(await fs.readFile(fileOf(key), "utf8")); }
+      catch{ return null; }
+    },
+    async set(key, value){
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = fileOf(key) + "." + process.pid + ".tmp";
+      await fs.writeFile(tmp, JSON.stringify(value));
+      await fs.rename(tmp, fileOf(key));
+    },
+    async delete(key){
+      await fs.rm(fileOf(key), { force: true });
+    },
+    async list(prefix = ""){
+      let names = [];
+      try{ names = await fs.readdir(dir); }catch{ return []; }
+      return names.filter(n => n.endsWith(".json")).map(n => decodeURIComponent(n.slice(0, -5))).filter(k => k.startsWith(prefix));
+    }
+  };
+}
+
+function blobStore(name){
+  const store = getBlobStore({ name, consistency: "strong" });
+  return {
+    backend: "blobs",
+    async get(key){ return (await store.get(key, { type: "json" })) ?? null; },
+    async set(key, value){ await store.setJSON(key, value); },
+    async delete(key){ await store.delete(key); },
+    async list(prefix = ""){
+      const { blobs } = await store.list({ prefix });
+      return blobs.map(b => b.key);
+    }
+  };
+}
+
+export function openStore(name){
+  return blobsReady ? blobStore(name) : fileStore(name);
+}
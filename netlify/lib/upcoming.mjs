@@ -0,0 +1,93 @@
+// netlify/lib/upcoming.mjs
+// Fixtures ahead for the rostered players' clubs, from calendar.mjs's getMatches, plus who has none.
+// Used by functions/upcoming.mjs; kept free of fetches so it can be tested on plain fixture lists.
+
+import { normName } from "../../public/lib/roster.js";
+import { resolveRules, isLocked, currentPlayers } from "../../public/lib/picks.js";
+
+const DAY_MS = 86400000;
+// Statuses still ahead (or under way); postponed/cancelled ones are kept so they can be flagged
+const OPEN = new Set(["scheduled", "live", "postponed", "cancelled"]);
+const PLAYS = new Set(["scheduled", "live"]);
+
+const time = (iso) => { const t = iso ? Date.parse(iso) : NaN; return Number.isNaN(t) ? null : t; };
+
+// Whose picks to show: picks.html entries (current squads, after transfers), else league.json "experts".
+// Unlike the dashboard's scores, entries count before the lock too: they're public on picks.html already, and
+// the planner is for the deadline. -> { experts:[{ expert, players:[name] }], picks_locked (null without entries) }
+export function plannerExperts(entries, league = {}, now = new Date()){
+  if (!entries?.length) return { experts: league.experts || [], picks_locked: null };
+  return {
+    experts: entries.map(e => ({ expert: e.expert, players: currentPlayers(e, now).map(p => p.name) })),
+    picks_locked: isLocked(resolveRules(league.picks), now)
+  };
+}
+
+// matches: getMatches rows ({ matchId, leagueId, leagueName, iso, homeId, awayId, homeName, awayName, status })
+// players: [{ name, id, team_id, team_name }] (team_id null when the club isn't known yet)
+// experts: [{ expert, players:[name] }]
+// -> { from, to, week_to,
+//      fixtures:[{ match_id, match_url, kickoff, competition, status, home, away, players:[{ name, home_away, opponent, experts }] }],
+//      players:[{ name, club, fixtures, next, blank, postponed, unknown_club }] }
+// `blank`: no fixture that is going ahead in the 7 days from `now`; `postponed`: one in that week was called off.
+// Players without a known club can't be planned and are only marked unknown_club.
+export function planFixtures({ matches = [], players = [], experts = [], now = new Date(), days = 7 } = {}){
+  const start = new Date(now).getTime(), end = start + days * DAY_MS, weekEnd = start + 7 * DAY_MS;
+  const pickedBy = new Map();
+  for (const e of experts) for (const name of e.players || []){
+    const k = normName(name);
+    if (!pickedBy.has(k)) pickedBy.set(k, []);
+    if (!pickedBy.get(k).includes(e.expert)) pickedBy.get(k).push(e.expert);
+  }
+  const byClub = new Map();
+  for (const p of players) if (p.team_id !== null && p.team_id !== undefined){
+    if (!byClub.has(p.team_id)) byClub.set(p.team_id, []);
+    byClub.get(p.team_id).push(p);
+  }
+
+  // A live match kicked off before `now`; anything else must kick off inside the window
+  const ahead = matches
+    .filter(m => OPEN.has(m.status) && time(m.iso) !== null && time(m.iso) < Math.max(end, weekEnd))
+    .filter(m => m.status === "live" || time(m.iso) >= start)
+    .sort((a, b) => time(a.iso) - time(b.iso) || a.matchId - b.matchId);
+
+  const fixtures = [], week = new Map();   // player name -> week's matches
+  for (const m of ahead){
+    const side = (id) => (id === m.homeId ? "home" : "away");
+    const involved = [...(byClub.get(m.homeId) || []), ...(byClub.get(m.awayId) || [])].map(p => {
+      const home_away = side(p.team_id);
+      return { name: p.name, home_away, opponent: home_away === "home" ? m.awayName : m.homeName, experts: pickedBy.get(normName(p.name)) || [] };
+    });
+    if (!involved.length) continue;
+    if (time(m.iso) < weekEnd || m.status === "live") for (const p of involved){
+      if (!week.has(p.name)) week.set(p.name, []);
+      week.get(p.name).push(m);
+    }
+    if (m.status !== "live" && time(m.iso) >= end) continue;
+    fixtures.push({
+      match_id: m.matchId, match_url: `https://www.fotmob.com/match/${m.matchId}`, kickoff: m.iso,
+      competition: m.leagueName || null, status: m.status,
+      home: { id: m.homeId, name: m.homeName }, away: { id: m.awayId, name: m.awayName },
+      players: involved
+    });
+  }
+
+  const counts = new Map();
+  for (const f of fixtures) for (const p of f.players) counts.set(p.name, (counts.get(p.name) || 0) + 1);
+  const plan = players.map(p => {
+    const inWeek = week.get(p.name) || [];
+    const next = fixtures.find(f => PLAYS.has(f.status) && f.players.some(x => x.name === p.name));
+    const unknown = p.team_id === null || p.team_id === undefined;
+    return {
+      name: p.name, club: p.team_name || null,
+      fixtures: counts.get(p.name) || 0,
+      next: next ? next.kickoff : null,
+      blank: !unknown && !inWeek.some(m => PLAYS.has(m.status)),
+      postponed: inWeek.some(m => !PLAYS.has(m.status)),
+      unknown_club: unknown
+    };
+  });
+
+  const day = (t) => new Date(t).toISOString().slice(0, 10);
+  return { from: day(start), to: day(end - 1), week_to: day(weekEnd - 1), fixtures, players: plan };
+}
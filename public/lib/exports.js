@@ -0,0 +1,49 @@
+// public/lib/exports.js
+// The checker's downloadable outputs, shared by the UI (index.html) and the command-line run (scripts/potm.mjs)
+// so both write the same Summary, Details and POTM tables.
+// results = [{ player_url, player_name, raw:[check result rows] }] (see runs.js)
+
+import { didAppear, isFinal, aggregate, aggregateByCompetition, scoreMatch } from './scoring.js';
+import { competitionOf, seasonKey } from './seasons.js';
+
+export const slugToName=(url)=>{ try{ const parts=new URL(url||'').pathname.split('/'); const slug=decodeURIComponent(parts[parts.length-1]||'').replace(/-/g,' ').trim(); return slug?slug.replace(/\b\w/g,c=>c.toUpperCase()):''; }catch{ return ''; } };
+export const resolveName=(player)=>{ const a=(player?.player_name||'').trim(); if(a) return a; for(const r of (player?.raw||[])){ if(r && r.echo_player_name){ const n=String(r.echo_player_name).trim(); if(n) return n; } } return slugToName(player?.player_url||'') || '(unknown)'; };
+
+// Season totals, then played/goals/assists/points per competition found in the results ("points_ucl", ...)
+const compSlug=(c)=>String(c.short).toLowerCase().replace(/[^a-z0-9]+/g,'_').replace(/^_|_$/g,'');
+export const toSummaryCSV=(res, scoring)=>{
+  const comps=aggregateByCompetition(res.flatMap(p=>p.raw||[]), scoring);
+  const rows=[["player_name","played","motm","goals","npg","pg","assists","yc","rc","fmp","points","minutes","starts","sub_apps","shots","shots_on_target","xg","xa","key_passes","big_chances_created",
+    ...comps.flatMap(c=>['played','goals','assists','points'].map(k=>`${k}_${compSlug(c)}`))]];
+  for(const p of res){ const a=aggregate(p.raw, scoring), per=aggregateByCompetition(p.raw, scoring);
+    rows.push([resolveName(p),a.played,a.motm,a.goals,a.npg,a.pg,a.assists,a.yc,a.rc,a.fmp,a.points,a.minutes,a.started,a.sub,a.shots,a.sot,a.xg.toFixed(2),a.xa.toFixed(2),a.key_passes,a.big_chances,
+      ...comps.flatMap(c=>{ const x=per.find(q=>q.id===c.id); return x?[x.played,x.goals,x.assists,x.points]:[0,0,0,0]; })]);
+  }
+  return rows;
+};
+export const toPotmOnlyCSV=(res)=>{
+  const rows=[["player_name","player_url","potm"]];
+  for(const p of res){ const a=aggregate(p.raw); rows.push([resolveName(p),p.player_url,a.motm]); }
+  return rows;
+};
+export const toDetailsCSV=(res, scoring)=>{
+  const rows=[["player_name","player_url","match_url","match_title","league","potm","rating","goals","npg","pg","assists","yc","rc","fmp","points","minutes","started","sub_appearance","shots","shots_on_target","xg","xa","key_passes","big_chances_created","match_status","club","competition","competition_type","data_source"]];
+  const flag=(v)=>v==null?'':(v?"1":"0");
+  for(const p of res){ for(const r of (p.raw||[])){ if(isFinal(r) && !didAppear(r)) continue; const s=r.player_stats||{};
+    rows.push([resolveName(p),p.player_url,r.match_url,r.match_title||r.resolved_match_id||'',r.league_label??'',r.player_is_pom?"1":"0",(r.player_rating!=null?String(Number(r.player_rating).toFixed(2)):""),s.goals??'',Math.max(0, Number(s.goals||0)-Number(s.penalty_goals||0)),s.penalty_goals??'',s.assists??'',s.yellow_cards??'',s.red_cards??'',s.full_match_played?"1":"0",scoreMatch(r, scoring).points,
+      s.minutes_played??'',flag(s.started),flag(s.sub_appearance),s.shots??'',s.shots_on_target??'',s.xg??'',s.xa??'',s.key_passes??'',s.big_chances_created??'',r.match_status||'finished',r.player_team_name??'',competitionOf(r).short,competitionOf(r).type,r.data_source??'']);
+  }} return rows;
+};
+
+// rows -> CSV text, every cell quoted, CRLF line ends
+export function toCsv(rows){
+  return [rows[0].map(v=>`"${String(v).replace(/"/g,'""')}"`).join(',')]
+    .concat(rows.slice(1).map(r=>r.map(v=>`"${String(v??'').replace(/"/g,'""')}"`).join(',')))
+    .join('\r\n');
+}
+
+// File names of a run's downloads, e.g. summary_potm_stats_2025_26.csv
+export function exportFileNames(season){
+  const key=seasonKey(season);
+  return { summary:`summary_potm_stats_${key}.csv`, details:`details_potm_stats_${key}.csv`, potm:`potm_table_${key}.csv`, json:`potm_stats_${key}.json` };
+}
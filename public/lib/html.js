@@ -0,0 +1,4 @@
+// public/lib/html.js
+// Escaping for text put into innerHTML. Expert names and picks come from picks.html, where anyone can submit,
+// and player, club and competition names come from FotMob: none of it is markup.
+export const esc=(s)=>String(s??'').replace(/[&<>"']/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
@@ -0,0 +1,234 @@
+// public/lib/picks.js
+// Expert picks rules, shared by the picks page (public/picks.html), functions/picks.mjs and the dashboard.
+// Rules come from league.json "picks": { squad_size, unique, max_per_club, lock_at, captain_multiplier, transfer_windows }.
+// Plain ES module with no DOM/Node APIs, like scoring.js.
+
+import { normName, pidFromUrl, splitCsvRow } from './roster.js';
+import { DEFAULT_CAPTAIN_MULTIPLIER, squadAt, squadHistory } from './squads.js';
+
+export const DEFAULT_RULES = {
+  squad_size: 5, unique: false, max_per_club: null, lock_at: null,
+  captain_multiplier: DEFAULT_CAPTAIN_MULTIPLIER,
+  transfer_windows: []   // [{ opens, closes, max_transfers }]
+};
+
+function isoOrThrow(v, what){
+  const d = new Date(v);
+  if (!v || isNaN(d)) throw new Error(`Bad ${what} "${v}" (expected an ISO date)`);
+  return d.toISOString();
+}
+
+// league.json "picks" block -> rules; throws on values that can't be enforced
+export function resolveRules(spec = {}){
+  const rules = { ...DEFAULT_RULES, ...(spec || {}) };
+  rules.squad_size = Number(rules.squad_size);
+  if (!Number.isInteger(rules.squad_size) || rules.squad_size < 1) throw new Error(`Bad picks.squad_size "${spec.squad_size}"`);
+  rules.unique = Boolean(rules.unique);
+  if (rules.max_per_club !== null && rules.max_per_club !== undefined && rules.max_per_club !== ''){
+    rules.max_per_club = Number(rules.max_per_club);
+    if (!Number.isInteger(rules.max_per_club) || rules.max_per_club < 1) throw new Error(`Bad picks.max_per_club "${spec.max_per_club}"`);
+  } else rules.max_per_club = null;
+  rules.lock_at = rules.lock_at ? isoOrThrow(rules.lock_at, 'picks.lock_at') : null;
+  rules.captain_multiplier = Number(rules.captain_multiplier);
+  if (!(rules.captain_multiplier >= 1)) throw new Error(`Bad picks.captain_multiplier "${spec.captain_multiplier}"`);
+  if (!Array.isArray(rules.transfer_windows)) throw new Error('picks.transfer_windows must be a list');
+  rules.transfer_windows = rules.transfer_windows.map((w, i) => {
+    const win = { opens: isoOrThrow(w?.opens, `picks.transfer_windows[${i}].opens`), closes: isoOrThrow(w?.closes, `picks.transfer_windows[${i}].closes`), max_transfers: Number(w?.max_transfers ?? 1) };
+    if (win.closes <= win.opens) throw new Error(`picks.transfer_windows[${i}] closes before it opens`);
+    if (!Number.isInteger(win.max_transfers) || win.max_transfers < 1) throw new Error(`Bad picks.transfer_windows[${i}].max_transfers "${w.max_transfers}"`);
+    return win;
+  });
+  return rules;
+}
+
+export const isLocked = (rules, now = new Date()) => !!rules.lock_at && new Date(now) >= new Date(rules.lock_at);
+
+// The transfer window open at `now`, or null
+export function openWindow(rules, now = new Date()){
+  const t = new Date(now).toISOString();
+  return rules.transfer_windows.find(w => w.opens <= t && t < w.closes) || null;
+}
+
+// A saved entry ({ players, captain, vice_captain, transfers } of { name, url, id }) as a squad keyed by
+// player id, for lib/squads.js
+export function entrySquad(entry){
+  const id = (p) => p?.id ?? null;
+  return {
+    players: (entry?.players || []).map(id),
+    captain: id(entry?.captain), vice_captain: id(entry?.vice_captain),
+    transfers: (entry?.transfers || []).map(t => ({ date: t.date, out: id(t.out), in: id(t.in), captain: t.captain ? id(t.captain) : undefined, vice_captain: t.vice_captain ? id(t.vice_captain) : undefined }))
+  };
+}
+
+const everyone = (entry) => [...(entry?.players || []), ...(entry?.transfers || []).map(t => t.in)].filter(Boolean);
+
+// Players in an entry's squad now (after its transfers)
+export function currentPlayers(entry, now = new Date()){
+  const all = everyone(entry);
+  return squadAt(entrySquad(entry), now).map(id => all.find(p => p.id === id)).filter(Boolean);
+}
+
+// Captain and vice-captain now -> { captain, vice_captain } ({ name, url, id } or null)
+export function currentArmbands(entry, now = new Date()){
+  const t = new Date(now).getTime(), all = everyone(entry);
+  const band = squadHistory(entrySquad(entry)).armbands.filter(a => a.from === null || t > a.from).pop();
+  const find = (id) => (id === null || id === undefined ? null : all.find(p => p.id === id) || null);
+  return { captain: find(band.captain), vice_captain: find(band.vice_captain) };
+}
+
+// Captain / vice-captain (optional; a vice-captain needs a captain): must be in `players` and different
+function armbandErrors(captain, vice, players){
+  const errors = [];
+  if (vice && !captain) errors.push('Pick a captain before a vice-captain');
+  if (captain && !players.some(p => p.id === captain.id)) errors.push(`Captain ${captain.name} is not in the squad`);
+  if (vice && !players.some(p => p.id === vice.id)) errors.push(`Vice-captain ${vice.name} is not in the squad`);
+  if (captain && vice && captain.id === vice.id) errors.push('Captain and vice-captain must be different players');
+  return errors;
+}
+
+function clubErrors(players, rules, clubs){
+  const errors = [];
+  if (!rules.max_per_club) return errors;
+  const perClub = new Map();
+  for (const p of players){
+    const club = clubs.get(p.id);
+    if (club) perClub.set(club, (perClub.get(club) || 0) + 1);
+  }
+  for (const [club, n] of perClub){
+    if (n > rules.max_per_club) errors.push(`${n} players from ${club} (max ${rules.max_per_club} per club)`);
+  }
+  return errors;
+}
+
+// A typed armband pick -> roster entry; unknown names are reported by the caller's squad check
+function armbandPick(pick, roster, errors, role){
+  if (!String(pick || '').trim()) return null;
+  const p = findInRoster(String(pick).trim(), roster);
+  if (!p) errors.push(`${role} "${pick}" is not in the roster`);
+  return p ? { name: p.name, url: p.url, id: p.id } : null;
+}
+export const expertKey = (name) => normName(name).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// A pick as typed (roster name or FotMob URL) -> the roster entry { name, url, id }, or null
+export function findInRoster(pick, roster){
+  const id = pidFromUrl(pick);
+  if (id) return roster.find(r => r.id === id) || null;
+  const key = normName(pick);
+  return roster.find(r => normName(r.name) === key) || null;
+}
+
+// Check one entry against the rules. others: the other experts' saved entries (for `unique`);
+// clubs: Map player id -> club name (players without a known club don't count towards max_per_club).
+// -> { errors:[string], players:[{ name, url, id }], captain, vice_captain } with picks resolved to roster entries
+export function validateEntry(entry, rules, { roster = [], others = [], clubs = new Map() } = {}){
+  const errors = [];
+  const expert = String(entry?.expert || '').trim();
+  if (!expert) errors.push('Expert name is required');
+
+  const picks = (entry?.players || []).map(p => String(p || '').trim()).filter(Boolean);
+  if (picks.length !== rules.squad_size) errors.push(`Pick exactly ${rules.squad_size} players (got ${picks.length})`);
+
+  const players = [], seen = new Set();
+  for (const pick of picks){
+    const p = findInRoster(pick, roster);
+    if (!p){ errors.push(`"${pick}" is not in the roster`); continue; }
+    if (seen.has(p.id)){ errors.push(`${p.name} is picked twice`); continue; }
+    seen.add(p.id);
+    players.push({ name: p.name, url: p.url, id: p.id });
+  }
+
+  if (rules.unique){
+    for (const p of players){
+      const taken = others.find(o => expertKey(o.expert) !== expertKey(expert) && currentPlayers(o).some(q => q.id === p.id));
+      if (taken) errors.push(`${p.name} is already picked by ${taken.expert}`);
+    }
+  }
+
+  errors.push(...clubErrors(players, rules, clubs));
+  const captain = armbandPick(entry?.captain, roster, errors, 'Captain');
+  const vice_captain = armbandPick(entry?.vice_captain, roster, errors, 'Vice-captain');
+  errors.push(...armbandErrors(captain, vice_captain, players));
+  return { errors, players, captain, vice_captain };
+}
+
+// One transfer ({ out, in, captain?, vice_captain? } as typed) for a saved entry, during an open window.
+// -> { errors, transfer:{ date, window, out, in, captain?, vice_captain? } }; the incoming player scores
+// for matches kicking off after `date`.
+export function validateTransfer(entry, transfer, rules, { roster = [], others = [], clubs = new Map(), now = new Date() } = {}){
+  const errors = [];
+  const window = openWindow(rules, now);
+  if (!window){
+    errors.push(rules.transfer_windows.length ? 'No transfer window is open' : 'This league has no transfer windows');
+    return { errors, transfer: null };
+  }
+  const used = (entry.transfers || []).filter(t => t.window === window.opens).length;
+  if (used >= window.max_transfers) errors.push(`All ${window.max_transfers} transfer(s) for this window are used`);
+
+  const squad = currentPlayers(entry, now);
+  const out = findInRoster(String(transfer?.out || '').trim(), squad);
+  if (!out) errors.push(`"${transfer?.out || ''}" is not in ${entry.expert}'s squad`);
+  const inn = findInRoster(String(transfer?.in || '').trim(), roster);
+  if (!inn) errors.push(`"${transfer?.in || ''}" is not in the roster`);
+  else if (squad.some(p => p.id === inn.id)) errors.push(`${inn.name} is already in the squad`);
+  if (errors.length) return { errors, transfer: null };
+
+  const incoming = { name: inn.name, url: inn.url, id: inn.id };
+  const after = squad.filter(p => p.id !== out.id).concat(incoming);
+  if (rules.unique){
+    const taken = others.find(o => expertKey(o.expert) !== expertKey(entry.expert) && currentPlayers(o, now).some(q => q.id === inn.id));
+    if (taken) errors.push(`${inn.name} is already picked by ${taken.expert}`);
+  }
+  errors.push(...clubErrors(after, rules, clubs));
+
+  // Armbands after the transfer: new ones if given, else the incoming player inherits the outgoing one's
+  const captain = armbandPick(transfer?.captain, roster, errors, 'Captain');
+  const vice_captain = armbandPick(transfer?.vice_captain, roster, errors, 'Vice-captain');
+  const held = currentArmbands(entry, now);
+  const inherit = (p) => (p?.id === out.id ? incoming : p);
+  errors.push(...armbandErrors(captain || inherit(held.captain), vice_captain || inherit(held.vice_captain), after));
+
+  const t = { date: new Date(now).toISOString(), window: window.opens, out: { name: out.name, url: out.url, id: out.id }, in: incoming };
+  if (captain) t.captain = captain;
+  if (vice_captain) t.vice_captain = vice_captain;
+  return { errors, transfer: errors.length ? null : t };
+}
+
+// Picks CSV -> [{ expert, players:[...], captain?, vice_captain? }]. Wide rows ("expert,p1,p2,...") and long rows
+// ("expert,player") both work; rows for the same expert are joined in order. A first row starting with "expert"
+// is a header. "Cole Palmer (C)" / "Lamine Yamal (VC)" mark the captain and vice-captain.
+export function parsePicksCsv(text){
+  const byExpert = new Map();
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+  lines.forEach((line, i) => {
+    const cells = splitCsvRow(line).map(c => c.trim());
+    if (i === 0 && /^expert/i.test(cells[0] || '')) return;
+    const expert = cells[0];
+    if (!expert) return;
+    const key = expertKey(expert);
+    if (!byExpert.has(key)) byExpert.set(key, { expert, players: [] });
+    const entry = byExpert.get(key);
+    for (const cell of cells.slice(1).filter(Boolean)){
+      const m = cell.match(/^(.*?)\s*\((c|vc)\)$/i);
+      if (m) entry[m[2].toLowerCase() === 'c' ? 'captain' : 'vice_captain'] = m[1];
+      entry.players.push(m ? m[1] : cell);
+    }
+  });
+  return Array.from(byExpert.values());
+}
+
+// Latest club per player id from check results ([{ player_url, raw }]) -> Map id -> { team_id, team_name }
+export function teamsFromResults(results){
+  const teams = new Map();
+  for (const p of results || []){
+    const id = pidFromUrl(p.player_url);
+    const rows = (p.raw || []).filter(r => r.player_team_name && r.match_datetime_utc)
+      .sort((a, b) => String(b.match_datetime_utc).localeCompare(String(a.match_datetime_utc)));
+    if (id && rows.length) teams.set(id, { team_id: rows[0].player_team_id ?? null, team_name: rows[0].player_team_name });
+  }
+  return teams;
+}
+
+// Latest club name per player id, for max_per_club
+export function clubsFromResults(results){
+  return new Map(Array.from(teamsFromResults(results), ([id, t]) => [id, t.team_name]));
+}
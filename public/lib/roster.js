@@ -0,0 +1,69 @@
+// public/lib/roster.js
+// players.csv parsing shared by the checker UI, the league dashboard and the scheduled standings refresh.
+// Accepts "name,url" rows (header optional) or a plain list of player URLs.
+// Rows with a name but no URL are picks still to be resolved (functions/resolve.mjs).
+
+export function splitCsvRow(row){
+  const cells = []; let cur = ''; let q = false;
+  for (const ch of row){ if (ch === '"'){ q = !q; continue; } if (ch === ',' && !q){ cells.push(cur); cur = ''; } else cur += ch; }
+  cells.push(cur);
+  return cells;
+}
+
+export const pidFromUrl = (u) => { const m = String(u || '').match(/\/players\/(\d+)(?:\/|$)/); return m ? Number(m[1]) : null; };
+
+// https://www.fotmob.com/players/<id>/<slug>, without query/hash/trailing slash
+export function normalizePlayerUrl(u){
+  try{
+    const url = new URL(String(u).trim());
+    url.hash = ''; url.search = ''; url.protocol = 'https:'; url.hostname = 'www.fotmob.com';
+    const m = url.pathname.match(/\/players\/(\d+)(?:\/|$)/); if (!m) return String(u).trim();
+    const id = m[1]; const slug = (url.pathname.split('/').pop() || '').toLowerCase();
+    url.pathname = `/players/${id}/${slug}`; return url.toString().replace(/\/?$/, '');
+  }catch{ return String(u).trim(); }
+}
+
+// -> [{ name, url, id }], one entry per player URL (first occurrence wins)
+export function parsePlayersCsv(text){
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+  const out = [], seen = new Set();
+  for (const line of lines){
+    const cells = splitCsvRow(line);
+    const urlCell = cells.length > 1 ? cells[1] : cells[0];
+    if (!/\/players\/\d+/.test(urlCell || '')) continue;   // header or junk row
+    const url = normalizePlayerUrl(urlCell);
+    if (seen.has(url)) continue;
+    seen.add(url);
+    out.push({ name: cells.length > 1 ? cells[0].trim() : '', url, id: pidFromUrl(url) });
+  }
+  return out;
+}
+
+// Accent/case/space-insensitive name key, as check.mjs matches names ("Julián Álvarez" = "julian alvarez", "Yıldız" = "yildiz")
+export function normName(s){
+  return String(s || '').toLowerCase().replace(/ı/g, 'i').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+const HEADER_NAMES = new Set(['name', 'player', 'player name', 'player_name']);
+
+// -> { players:[{ name, url, id }], names:[string] }: rows with a player URL, and bare names to resolve
+export function splitRoster(text){
+  const players = parsePlayersCsv(text);
+  const names = [], seen = new Set();
+  for (const line of String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/)){
+    const cells = splitCsvRow(line.trim());
+    if (cells.some(c => /\/players\/\d+/.test(c))) continue;
+    const name = (cells[0] || '').trim();
+    const key = normName(name);
+    if (!key || HEADER_NAMES.has(key) || /^https?:/i.test(name) || seen.has(key)) continue;
+    seen.add(key);
+    names.push(name);
+  }
+  return { players, names };
+}
+
+// [{ name, url }] -> players.csv text (the format parsePlayersCsv reads back)
+export function toPlayersCsv(players){
+  const cell = (v) => /[",\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  return ['player name,url', ...players.map(p => `${cell(p.name || '')},${cell(p.url)}`)].join('\n') + '\n';
+}
@@ -0,0 +1,117 @@
+// public/lib/runs.js
+// Run results helpers shared by the UI and the functions: fixture dedup, run snapshots, incremental merges.
+// results = [{ player_url, player_name, raw:[check result rows] }]
+
+export function fixtureKey(r){
+  return r.fixture_key || `${r.league_id||'X'}|${(r.match_datetime_utc||'').slice(0,16)}|${r.home_team_id||r.home_team_name}|${r.away_team_id||r.away_team_name}`;
+}
+
+// One check per match for every tracked player in it: lists[i] = player i's match URLs
+// -> [{ matchUrl, owners:[player index] }], in first-seen order
+export function checkGroups(lists){
+  const groups = new Map();
+  (lists||[]).forEach((urls, i) => {
+    for (const u of urls||[]){
+      const mid = (String(u).match(/\/match\/(\d+)/)||[])[1] || u;
+      if (!groups.has(mid)) groups.set(mid, { matchUrl: u, owners: [] });
+      groups.get(mid).owners.push(i);
+    }
+  });
+  return Array.from(groups.values());
+}
+
+// Same fixture reached via different match URLs: keep the row with POTM, else the higher rating
+export function dedupRows(rows){
+  const seen = new Map();
+  for (const r of (rows||[]).filter(Boolean)){
+    const key = fixtureKey(r);
+    if (!seen.has(key)){ seen.set(key, r); continue; }
+    const prev = seen.get(key);
+    const better = (r.player_is_pom && !prev.player_is_pom) ? r
+                 : ((Number(r.player_rating||0) > Number(prev.player_rating||0)) ? r : prev);
+    seen.set(key, better);
+  }
+  return Array.from(seen.values());
+}
+
+// Latest finished kickoff (ISO) across every row of a run, or null; live/pending fixtures get rechecked next time
+export function latestKickoff(results){
+  let max = null;
+  for (const p of results||[]){
+    for (const r of p.raw||[]){
+      if (r?.match_status && r.match_status !== "finished") continue;
+      const iso = r?.match_datetime_utc;
+      if (iso && (!max || iso > max)) max = iso;
+    }
+  }
+  return max;
+}
+
+const playerKey = (p) => { const m = String(p?.player_url||'').match(/\/players\/(\d+)/); return m ? `id:${m[1]}` : `url:${p?.player_url||''}|${p?.player_name||''}`; };
+
+// Fold a newer (partial) run into an older one: rows replace rows of the same fixture, new players are appended
+export function mergeResults(prev, next){
+  const out = new Map();
+  for (const p of prev||[]) out.set(playerKey(p), { ...p, raw: (p.raw||[]).slice() });
+  for (const p of next||[]){
+    const k = playerKey(p);
+    const old = out.get(k);
+    if (!old){ out.set(k, { ...p, raw: dedupRows(p.raw) }); continue; }
+    const rows = new Map(old.raw.map(r => [fixtureKey(r), r]));
+    for (const r of p.raw||[]) rows.set(fixtureKey(r), r);
+    out.set(k, { ...old, player_name: p.player_name || old.player_name, raw: Array.from(rows.values()) });
+  }
+  return Array.from(out.values());
+}
+
+// Problems with posted results, [] when every row has the shape check.mjs gives them. Stored results feed
+// the dashboard and the next incremental run, so anything else is refused before it replaces the latest.
+const COUNTS = ['goals','penalty_goals','assists','yellow_cards','red_cards','minutes_played'];
+const TEXTS  = ['resolved_match_id','match_title','league_label','match_status','fixture_key','home_team_name','away_team_name','player_team_name','echo_player_name','data_source'];
+const isText = (v) => v === null || v === undefined || typeof v === 'string';
+function rowErrors(r, at){
+  if (!r || typeof r !== 'object' || Array.isArray(r)) return [`${at} is not a check result`];
+  const errors = [];
+  let url = null;
+  try{ url = new URL(r.match_url); }catch{ /* reported below */ }
+  if (!url || !/^https?:$/.test(url.protocol) || !/\/match\/\d+/.test(url.pathname)) errors.push(`${at}.match_url is not a FotMob match URL`);
+  if (r.error !== undefined) errors.push(`${at} is a failed check`);
+  if (r.match_datetime_utc != null && (typeof r.match_datetime_utc !== 'string' || isNaN(Date.parse(r.match_datetime_utc)))) errors.push(`${at}.match_datetime_utc is not a date`);
+  for (const k of ['league_allowed','within_season','player_is_pom']) if (typeof r[k] !== 'boolean') errors.push(`${at}.${k} must be true or false`);
+  if (r.player_rating != null && !Number.isFinite(r.player_rating)) errors.push(`${at}.player_rating must be a number`);
+  for (const k of TEXTS) if (!isText(r[k])) errors.push(`${at}.${k} must be text`);
+  const s = r.player_stats;
+  if (!s || typeof s !== 'object') errors.push(`${at}.player_stats is missing`);
+  else for (const k of COUNTS) if (!Number.isInteger(s[k]) || s[k] < 0) errors.push(`${at}.player_stats.${k} must be a count`);
+  return errors;
+}
+export function resultsErrors(results){
+  if (!Array.isArray(results)) return ['results must be a list'];
+  const errors = [];
+  results.forEach((p, i) => {
+    const at = `results[${i}]`;
+    if (!p || typeof p !== 'object'){ errors.push(`${at} is not a player`); return; }
+    if (typeof p.player_url !== 'string') errors.push(`${at}.player_url must be text`);
+    if (!isText(p.player_name)) errors.push(`${at}.player_name must be text`);
+    if (!Array.isArray(p.raw)){ errors.push(`${at}.raw must be a list`); return; }
+    p.raw.forEach((r, j) => errors.push(...rowErrors(r, `${at}.raw[${j}]`)));
+  });
+  return errors;
+}
+
+// What gets stored per run (see netlify/functions/runs.mjs)
+export function makeSnapshot({ season, leagues, players, results }){
+  return {
+    season,
+    leagues,
+    created_at: new Date().toISOString(),
+    latest_match_utc: latestKickoff(results),
+    players: (players||[]).map(p => ({
+      player_url: p.player_url,
+      player_name: p.player_name || null,
+      player_id: p.player_id || null,
+      match_ids: (p.match_urls||[]).map(u => (String(u).match(/\/match\/(\d+)/)||[])[1]).filter(Boolean)
+    })),
+    results
+  };
+}
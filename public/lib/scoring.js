@@ -0,0 +1,189 @@
+// public/lib/scoring.js
+// Scoring profiles shared by the checker UI (public/index.html) and the league dashboard (index.html).
+// A profile = per-stat weights + optional conditional bonuses evaluated per match, and optional
+// per-competition multipliers ("competitions": { "europe": 1.5, "132": 0.5 } — a type or a FotMob id).
+// Plain ES module with no DOM/Node APIs so functions and scripts can import it too.
+
+import { COMPETITION_TYPES, COMPETITIONS, competitionOf } from './seasons.js';
+
+// Per-match stat keys a profile can weight or test in a bonus condition
+export const STAT_KEYS = [
+  "npg", "pg", "goals", "assists", "fmp", "motm", "yc", "rc",
+  "minutes", "started", "sub", "shots", "sot", "xg", "xa", "key_passes", "big_chances"
+];
+export const STAT_LABELS = {
+  npg:"NPG", pg:"PG", goals:"Goals", assists:"Assists", fmp:"FMP", motm:"MOTM", yc:"YC", rc:"RC",
+  minutes:"Minutes", started:"Starts", sub:"Sub apps", shots:"Shots", sot:"SoT", xg:"xG", xa:"xA",
+  key_passes:"Key passes", big_chances:"Big chances created"
+};
+// Fractional stats (and points, once a profile weights them): totals are rounded to 2 decimals instead of truncated
+const DECIMAL_KEYS = new Set(["xg", "xa", "points"]);
+
+export const PROFILES = {
+  starboy: {
+    id: "starboy",
+    label: "FBS StarBoy League",
+    weights: { npg:20, pg:15, assists:10, fmp:5, motm:5, yc:-5, rc:-10 },
+    bonuses: []
+  },
+  starboy_bonus: {
+    id: "starboy_bonus",
+    label: "StarBoy + brace/clean-90 bonuses",
+    weights: { npg:20, pg:15, assists:10, fmp:5, motm:5, yc:-5, rc:-10 },
+    bonuses: [
+      { id:"brace",    label:"Brace bonus",                 when:{ goals:{ min:2 } },                       points:10 },
+      { id:"clean_90", label:"Full 90 without a card",      when:{ fmp:{ min:1 }, yc:{ max:0 }, rc:{ max:0 } }, points:5 }
+    ]
+  }
+};
+export const DEFAULT_PROFILE_ID = "starboy";
+
+// Accepts a profile id, an inline profile object (missing fields fall back to the default) or nothing.
+export function resolveProfile(spec){
+  if (spec === null || spec === undefined || spec === "") return PROFILES[DEFAULT_PROFILE_ID];
+  if (typeof spec === "string"){
+    const p = PROFILES[spec];
+    if (!p) throw new Error(`Unknown scoring profile "${spec}"`);
+    return p;
+  }
+  const base = PROFILES[spec.extends || DEFAULT_PROFILE_ID] || PROFILES[DEFAULT_PROFILE_ID];
+  const weights = { ...(spec.weights || base.weights) };
+  for (const k of Object.keys(weights)){
+    if (!STAT_KEYS.includes(k)) throw new Error(`Unknown stat "${k}" in scoring weights`);
+    weights[k] = Number(weights[k]) || 0;
+  }
+  const bonuses = Array.isArray(spec.bonuses) ? spec.bonuses : base.bonuses;
+  for (const b of bonuses){
+    for (const k of Object.keys(b.when || {})){
+      if (!STAT_KEYS.includes(k)) throw new Error(`Unknown stat "${k}" in bonus "${b.id}"`);
+    }
+  }
+  const competitions = { ...(spec.competitions || base.competitions || {}) };
+  for (const [k, w] of Object.entries(competitions)){
+    if (!(k in COMPETITION_TYPES) && !/^\d+$/.test(k)) throw new Error(`Unknown competition "${k}" in scoring competitions (use ${Object.keys(COMPETITION_TYPES).join("/")} or a FotMob id)`);
+    competitions[k] = Number(w);
+    if (!(competitions[k] >= 0)) throw new Error(`Bad weight for competition "${k}"`);
+  }
+  return { id: spec.id || "custom", label: spec.label || spec.id || "Custom", weights, bonuses, competitions };
+}
+
+// Multiplier for a row's competition: its own id first, then its type, else 1
+export function competitionWeight(r, profile){
+  const c = profile?.competitions;
+  if (!c) return 1;
+  const { id, type } = competitionOf(r);
+  return c[String(id)] ?? c[type] ?? 1;
+}
+
+// ---------- Per-match ----------
+// Only finished matches score; live, scheduled, postponed, cancelled, abandoned and awarded rows are pending/void.
+// Rows from before check reported match_status count as finished.
+export function isFinal(r){
+  return !r?.match_status || r.match_status === "finished";
+}
+
+// Only matches the player featured in count (rows for every squad fixture come back from check)
+export function didAppear(r){
+  const s = r?.player_stats || {};
+  if (s.full_match_played) return true;
+  if (Number(s.minutes_played||0) > 0) return true;
+  const counted = Number(s.goals||0) + Number(s.penalty_goals||0) + Number(s.assists||0) + Number(s.yellow_cards||0) + Number(s.red_cards||0);
+  if (counted > 0) return true;
+  return r?.player_rating != null && !Number.isNaN(Number(r.player_rating));
+}
+
+export function matchStats(r){
+  const s = r?.player_stats || {};
+  const goals = Number(s.goals||0), pg = Number(s.penalty_goals||0);
+  return {
+    npg: Math.max(0, goals - pg),
+    pg,
+    goals,
+    assists: Number(s.assists||0),
+    fmp: s.full_match_played ? 1 : 0,
+    motm: r?.player_is_pom ? 1 : 0,
+    yc: Number(s.yellow_cards||0),
+    rc: Number(s.red_cards||0),
+    minutes: Number(s.minutes_played||0),
+    started: s.started ? 1 : 0,
+    sub: s.sub_appearance ? 1 : 0,
+    shots: Number(s.shots||0),
+    sot: Number(s.shots_on_target||0),
+    xg: Number(s.xg||0),
+    xa: Number(s.xa||0),
+    key_passes: Number(s.key_passes||0),
+    big_chances: Number(s.big_chances_created||0)
+  };
+}
+
+function bonusApplies(bonus, stats){
+  for (const [k, cond] of Object.entries(bonus.when || {})){
+    const v = stats[k] || 0;
+    if (cond.min !== undefined && v < cond.min) return false;
+    if (cond.max !== undefined && v > cond.max) return false;
+  }
+  return true;
+}
+
+// -> { points, breakdown: { <stat|bonus id>: points } }
+export function scoreMatch(r, profile = PROFILES[DEFAULT_PROFILE_ID]){
+  const breakdown = {};
+  let points = 0;
+  if (!isFinal(r)) return { points, breakdown };
+  const stats = matchStats(r);
+  for (const [k, w] of Object.entries(profile.weights)){
+    const v = (stats[k] || 0) * w;
+    if (v){ breakdown[k] = v; points += v; }
+  }
+  for (const b of profile.bonuses || []){
+    if (!bonusApplies(b, stats)) continue;
+    breakdown[b.id] = (breakdown[b.id] || 0) + b.points;
+    points += b.points;
+  }
+  const w = competitionWeight(r, profile);
+  if (w !== 1){
+    for (const k of Object.keys(breakdown)) breakdown[k] = Math.round(breakdown[k] * w * 100) / 100;
+    points = Math.round(points * w * 100) / 100;
+  }
+  return { points, breakdown };
+}
+
+// ---------- Per-player ----------
+export function aggregate(rows, profile = PROFILES[DEFAULT_PROFILE_ID]){
+  const acc = { played:0, motm:0, goals:0, npg:0, pg:0, assists:0, yc:0, rc:0, fmp:0,
+                minutes:0, started:0, sub:0, shots:0, sot:0, xg:0, xa:0, key_passes:0, big_chances:0, points:0, pending:0 };
+  for (const r of (rows||[]).filter(r => r && !r.error)){
+    if (!isFinal(r)){ acc.pending += 1; continue; }
+    if (!didAppear(r)) continue;
+    const st = matchStats(r);
+    acc.played += 1;
+    for (const k of STAT_KEYS) if (k in acc) acc[k] += st[k];
+    acc.points += scoreMatch(r, profile).points;
+  }
+  for (const k of Object.keys(acc)) acc[k] = DECIMAL_KEYS.has(k) ? Math.round(acc[k] * 100) / 100 : Math.trunc(acc[k]);
+  return acc;
+}
+
+// Per-competition totals: leagues, European, cups, then others; by name within each -> [{ id, short, name, type, ...aggregate }]
+export function aggregateByCompetition(rows, profile = PROFILES[DEFAULT_PROFILE_ID]){
+  const groups = new Map();
+  for (const r of (rows || []).filter(r => r && !r.error)){
+    const c = competitionOf(r);
+    if (!groups.has(c.id)) groups.set(c.id, { ...c, rows: [] });
+    groups.get(c.id).rows.push(r);
+  }
+  const types = Object.keys(COMPETITION_TYPES);
+  return Array.from(groups.values())
+    .sort((a, b) => types.indexOf(a.type) - types.indexOf(b.type) || String(a.short).localeCompare(String(b.short)))
+    .map(({ rows: list, ...c }) => ({ ...c, ...aggregate(list, profile) }));
+}
+
+// Rows for rendering a "Scoring System" legend: [{ label, points }]
+export function describeProfile(profile){
+  const out = Object.entries(profile.weights).filter(([, w]) => w).map(([k, w]) => ({ label: STAT_LABELS[k] || k, points: w }));
+  for (const b of profile.bonuses || []) out.push({ label: b.label || b.id, points: b.points });
+  for (const [k, w] of Object.entries(profile.competitions || {})){
+    out.push({ label: `${COMPETITION_TYPES[k] || COMPETITIONS[k]?.name || `#${k}`} matches`, points: `x${w}` });
+  }
+  return out;
+}
@@ -0,0 +1,97 @@
+// public/lib/seasons.js
+// Season window + competition config shared by the Netlify functions (discover/check/calendar) and the UI.
+// Functions take { season, leagues } per request; anything omitted falls back to the defaults below.
+
+// FotMob competition ids the UI offers (any other numeric id is still accepted per request).
+// type: "league" (domestic league), "europe" (UEFA club competitions), "cup" (domestic cups)
+export const COMPETITIONS = {
+  47:    { id:47,    short:"PL",         name:"Premier League",    type:"league" },
+  87:    { id:87,    short:"LaLiga",     name:"LaLiga",            type:"league" },
+  54:    { id:54,    short:"Bundesliga", name:"Bundesliga",        type:"league" },
+  55:    { id:55,    short:"Serie A",    name:"Serie A",           type:"league" },
+  53:    { id:53,    short:"Ligue 1",    name:"Ligue 1",           type:"league" },
+  57:    { id:57,    short:"Eredivisie", name:"Eredivisie",        type:"league" },
+  61:    { id:61,    short:"Liga PT",    name:"Liga Portugal",     type:"league" },
+  42:    { id:42,    short:"UCL",        name:"Champions League",  type:"europe" },
+  73:    { id:73,    short:"UEL",        name:"Europa League",     type:"europe" },
+  10216: { id:10216, short:"UECL",       name:"Conference League", type:"europe" },
+  132:   { id:132,   short:"FA Cup",     name:"FA Cup",            type:"cup" },
+  133:   { id:133,   short:"EFL Cup",    name:"EFL Cup",           type:"cup" },
+  138:   { id:138,   short:"Copa",       name:"Copa del Rey",      type:"cup" },
+  209:   { id:209,   short:"DFB-Pokal",  name:"DFB-Pokal",         type:"cup" },
+  141:   { id:141,   short:"Coppa",      name:"Coppa Italia",      type:"cup" },
+  134:   { id:134,   short:"CdF",        name:"Coupe de France",   type:"cup" }
+};
+export const COMPETITION_TYPES = { league:"Leagues", europe:"European", cup:"Domestic cups", other:"Other" };
+
+export const DEFAULT_SEASON  = "2025-26";
+export const DEFAULT_LEAGUES = [47, 87, 54, 55, 53]; // PL, LaLiga, Bundesliga, Serie A, Ligue 1
+const FIRST_SEASON_YEAR = 2020;
+
+// "2025-26" | "2025/26" | "2025-2026" | 2025 -> "2025-26"
+export function normalizeSeason(season){
+  const m = String(season ?? "").trim().match(/^(\d{4})(?:\s*[-/_]\s*(\d{2}|\d{4}))?$/);
+  if (!m) throw new Error(`Bad season "${season}" (expected e.g. 2025-26)`);
+  const y = Number(m[1]);
+  if (m[2] && Number(m[2].slice(-2)) !== (y + 1) % 100) throw new Error(`Bad season "${season}" (years must be consecutive)`);
+  return `${y}-${String((y + 1) % 100).padStart(2, "0")}`;
+}
+
+export function seasonLabel(season){ return normalizeSeason(season).replace("-", "–"); }
+// Safe for filenames / response keys: "2025-26" -> "2025_26"
+export function seasonKey(season){ return normalizeSeason(season).replace("-", "_"); }
+
+// Season runs 1 July → 30 June (UTC)
+export function seasonWindow(season){
+  const y = Number(normalizeSeason(season).slice(0, 4));
+  return { start: new Date(Date.UTC(y, 6, 1)), end: new Date(Date.UTC(y + 1, 5, 30, 23, 59, 59)) };
+}
+
+// Seasons from FIRST_SEASON_YEAR up to the one containing `now`, newest first (for selectors)
+export function availableSeasons(now = new Date()){
+  const last = now.getUTCMonth() >= 6 ? now.getUTCFullYear() : now.getUTCFullYear() - 1;
+  const out = [];
+  for (let y = Math.max(last, Number(DEFAULT_SEASON.slice(0, 4))); y >= FIRST_SEASON_YEAR; y--) out.push(normalizeSeason(y));
+  return out;
+}
+
+// [47,87] | "47,87" | "[47,87]" | undefined -> [47,87] (defaults when empty)
+export function parseLeagues(leagues){
+  let list = leagues;
+  if (typeof list === "string") list = list.replace(/[[\]\s]/g, "").split(",").filter(Boolean);
+  if (!Array.isArray(list) || !list.length) return DEFAULT_LEAGUES.slice();
+  const ids = list.map(Number);
+  const bad = list.filter((_, i) => !Number.isInteger(ids[i]) || ids[i] <= 0);
+  if (bad.length) throw new Error(`Bad league id(s): ${bad.join(", ")}`);
+  return Array.from(new Set(ids));
+}
+
+export function leagueLabel(id){ return COMPETITIONS[id]?.short || `#${id}`; }
+export function competitionType(id){ return COMPETITIONS[id]?.type || "other"; }
+
+// A result row's competition -> { id, short, name, type }; rows from before check tagged competitions use league_id
+export function competitionOf(r){
+  const id = r?.competition_id ?? r?.league_id ?? null;
+  const c = COMPETITIONS[id];
+  return { id, short: c?.short || r?.league_label || (id ? `#${id}` : "?"), name: c?.name || r?.league_label || null, type: r?.competition_type || competitionType(id) };
+}
+
+// Does a row belong to any of `list` (competition types and/or FotMob ids, e.g. ["europe", 132])?
+export function inCompetitions(r, list){
+  const { id, type } = competitionOf(r);
+  return (list || []).some(x => String(x) === type || Number(x) === id);
+}
+
+// -> { season, label, key, start, end, leagues, leagueIds:Set }
+export function resolveSeasonConfig({ season, leagues } = {}){
+  const s = normalizeSeason(season || DEFAULT_SEASON);
+  const ids = parseLeagues(leagues);
+  return { season: s, label: seasonLabel(s), key: seasonKey(s), ...seasonWindow(s), leagues: ids, leagueIds: new Set(ids) };
+}
+
+// Played already and inside the season window
+export function inSeasonPast(iso, cfg, now = new Date()){
+  if (!iso) return false;
+  const d = new Date(iso);
+  return d >= cfg.start && d <= cfg.end && d <= now;
+}
@@ -0,0 +1,89 @@
+// public/lib/squads.js
+// Expert squad scoring from the dated per-match rows: each player scores only while in the squad
+// (transfers), and the captain's points are multiplied — or the vice-captain's, in a gameweek the captain
+// didn't play. Shared by the dashboard (index.html) and picks.js; plain ES module like scoring.js.
+//
+// A squad uses whatever keys the caller matches rows by (names on the dashboard, FotMob ids in picks):
+//   { players:[key], captain, vice_captain, transfers:[{ date, out, in, captain?, vice_captain? }] }
+
+import { isFinal, didAppear, scoreMatch } from './scoring.js';
+import { weekStart, DEFAULT_WEEK_MODE } from './weeks.js';
+
+export const DEFAULT_CAPTAIN_MULTIPLIER = 2;
+
+const time = (iso) => { const t = iso ? Date.parse(iso) : NaN; return Number.isNaN(t) ? null : t; };
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// A transferred-out player scores for kickoffs before the transfer, the incoming one for kickoffs after it
+const inSpell = (spell, t) => (spell.from === null || t > spell.from) && (spell.to === null || t < spell.to);
+
+// -> { spells:[{ key, from, to }], armbands:[{ from, captain, vice_captain }] }, times in ms (null = open).
+// A transfer can hand out new armbands; otherwise the incoming player takes over the outgoing one's.
+export function squadHistory(squad){
+  const spells = (squad?.players || []).map(key => ({ key, from: null, to: null }));
+  const armbands = [{ from: null, captain: squad?.captain ?? null, vice_captain: squad?.vice_captain ?? null }];
+  const transfers = (squad?.transfers || []).filter(t => time(t.date) !== null).sort((a, b) => time(a.date) - time(b.date));
+  for (const t of transfers){
+    const at = time(t.date);
+    const out = spells.find(s => s.key === t.out && s.to === null);
+    if (out) out.to = at;
+    if (t.in !== null && t.in !== undefined) spells.push({ key: t.in, from: at, to: null });
+    const prev = armbands[armbands.length - 1];
+    const pass = (role) => (prev[role] === t.out ? (t.in ?? null) : prev[role]);
+    armbands.push({ from: at, captain: t.captain ?? pass('captain'), vice_captain: t.vice_captain ?? pass('vice_captain') });
+  }
+  return { spells, armbands };
+}
+
+const armbandAt = (armbands, t) => armbands.filter(a => a.from === null || t > a.from).pop();
+
+// Keys in the squad at a moment (default: now)
+export function squadAt(squad, at = new Date()){
+  const t = new Date(at).getTime();
+  const { spells } = squadHistory(squad);
+  return spells.filter(s => inSpell(s, t)).map(s => s.key);
+}
+
+// rowsFor(key) -> that player's check rows.
+// -> { total, weeks: Map week -> points (weekMode buckets), players:[{ key, points, bonus, matches }],
+//      captaincy:[{ week, key, role }] } — captaincy is decided per gameweek whatever weekMode shows.
+export function scoreSquad(squad, rowsFor, profile, { multiplier = DEFAULT_CAPTAIN_MULTIPLIER, weekMode = DEFAULT_WEEK_MODE } = {}){
+  const { spells, armbands } = squadHistory(squad);
+  const matches = [];
+  for (const spell of spells){
+    for (const r of rowsFor(spell.key) || []){
+      if (!r || r.error || !isFinal(r) || !didAppear(r)) continue;
+      const t = time(r.match_datetime_utc);
+      if (t === null || !inSpell(spell, t)) continue;
+      matches.push({ key: spell.key, t, iso: r.match_datetime_utc, points: scoreMatch(r, profile).points, bonus: 0 });
+    }
+  }
+
+  const byGameweek = new Map();
+  for (const m of matches){
+    const gw = weekStart(m.iso, 'gameweek');
+    if (!byGameweek.has(gw)) byGameweek.set(gw, []);
+    byGameweek.get(gw).push(m);
+  }
+  const captaincy = [];
+  for (const [week, list] of Array.from(byGameweek).sort(([a], [b]) => a.localeCompare(b))){
+    const captained = list.filter(m => m.key !== null && m.key === armbandAt(armbands, m.t).captain);
+    const role = captained.length ? 'captain' : 'vice_captain';
+    const chosen = captained.length ? captained : list.filter(m => m.key !== null && m.key === armbandAt(armbands, m.t).vice_captain);
+    for (const m of chosen) m.bonus = m.points * (multiplier - 1);
+    if (chosen.length) captaincy.push({ week, key: chosen[0].key, role });
+  }
+
+  const weeks = new Map(), players = new Map();
+  let total = 0;
+  for (const m of matches){
+    const pts = m.points + m.bonus;
+    total += pts;
+    const wk = weekStart(m.iso, weekMode);
+    weeks.set(wk, round2((weeks.get(wk) || 0) + pts));
+    if (!players.has(m.key)) players.set(m.key, { key: m.key, points: 0, bonus: 0, matches: 0 });
+    const p = players.get(m.key);
+    p.points = round2(p.points + m.points); p.bonus = round2(p.bonus + m.bonus); p.matches += 1;
+  }
+  return { total: round2(total), weeks, players: Array.from(players.values()), captaincy };
+}
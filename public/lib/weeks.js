@@ -0,0 +1,107 @@
+// public/lib/weeks.js
+// Points over time: per-match rows bucketed into weeks, weekly/cumulative series, ranks and movement.
+// Shared by the league dashboard (index.html) and the checker's player cards (public/index.html).
+// Plain ES module with no DOM/Node APIs, like scoring.js.
+
+import { isFinal, didAppear, scoreMatch } from './scoring.js';
+
+// gameweek: Tuesday–Monday (UTC), so a Friday–Monday round and the midweek games before it stay together;
+//           numbered GW1, GW2, … from the first week on the axis.
+// calendar: ISO weeks, Monday–Sunday, labelled by ISO week number.
+export const WEEK_MODES = {
+  gameweek: { label: 'Gameweek', startDay: 2 },
+  calendar: { label: 'Calendar week', startDay: 1 }
+};
+export const DEFAULT_WEEK_MODE = 'gameweek';
+
+const DAY_MS = 86400000;
+const modeOf = (mode) => WEEK_MODES[mode] || WEEK_MODES[DEFAULT_WEEK_MODE];
+const dayKey = (d) => d.toISOString().slice(0, 10);
+
+// Kickoff ISO -> the week's first day "YYYY-MM-DD" (UTC), or null for rows without a date
+export function weekStart(iso, mode = DEFAULT_WEEK_MODE){
+  const d = iso ? new Date(iso) : null;
+  if (!d || isNaN(d)) return null;
+  const day = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  const back = (day.getUTCDay() - modeOf(mode).startDay + 7) % 7;
+  return dayKey(new Date(day.getTime() - back * DAY_MS));
+}
+
+function isoWeekNumber(key){
+  const d = new Date(`${key}T00:00:00Z`);
+  const thursday = new Date(d.getTime() + ((4 - (d.getUTCDay() || 7)) * DAY_MS));
+  const jan1 = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  return Math.ceil(((thursday.getTime() - jan1) / DAY_MS + 1) / 7);
+}
+
+// One player's rows -> Map week -> points; only finished appearances score, as in aggregate()
+export function pointsByWeek(rows, profile, mode = DEFAULT_WEEK_MODE){
+  const weeks = new Map();
+  for (const r of (rows || []).filter(r => r && !r.error)){
+    if (!isFinal(r) || !didAppear(r)) continue;
+    const key = weekStart(r.match_datetime_utc, mode);
+    if (!key) continue;
+    weeks.set(key, (weeks.get(key) || 0) + scoreMatch(r, profile).points);
+  }
+  return weeks;
+}
+
+// Several players' weekly maps -> one (an expert's squad)
+export function sumWeeks(maps){
+  const out = new Map();
+  for (const m of maps) for (const [k, v] of m || []) out.set(k, (out.get(k) || 0) + v);
+  return out;
+}
+
+// Every week from the first to the last one with points, gaps included -> [{ key, label, start, end }]
+export function weekAxis(maps, mode = DEFAULT_WEEK_MODE){
+  const keys = new Set();
+  for (const m of maps) for (const k of (m || new Map()).keys()) keys.add(k);
+  if (!keys.size) return [];
+  const sorted = Array.from(keys).sort();
+  const axis = [];
+  for (let t = Date.parse(`${sorted[0]}T00:00:00Z`), last = Date.parse(`${sorted[sorted.length - 1]}T00:00:00Z`); t <= last; t += 7 * DAY_MS){
+    const key = dayKey(new Date(t));
+    axis.push({
+      key,
+      label: mode === 'calendar' ? `W${isoWeekNumber(key)}` : `GW${axis.length + 1}`,
+      start: key,
+      end: dayKey(new Date(t + 6 * DAY_MS))
+    });
+  }
+  return axis;
+}
+
+// Standard competition ranking (1, 2, 2, 4) of values, highest first
+function ranks(values){
+  const sorted = values.slice().sort((a, b) => b - a);
+  return values.map(v => sorted.indexOf(v) + 1);
+}
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// series: [{ name, weeks: Map }] -> { axis, rows:[{ name, weekly, cumulative, rank, movement }] }
+// rank[i] is the position on cumulative points after week i; movement is the places gained (+) or lost (−)
+// in the last week on the axis, null with fewer than two weeks.
+export function buildTimeline(series, mode = DEFAULT_WEEK_MODE){
+  const axis = weekAxis(series.map(s => s.weeks), mode);
+  const rows = series.map(s => {
+    let total = 0;
+    const weekly = axis.map(w => round2(s.weeks?.get(w.key) || 0));
+    const cumulative = weekly.map(v => (total = round2(total + v)));
+    return { name: s.name, weekly, cumulative, rank: [], movement: null };
+  });
+  axis.forEach((_, i) => {
+    const r = ranks(rows.map(row => row.cumulative[i]));
+    rows.forEach((row, j) => { row.rank[i] = r[j]; });
+  });
+  if (axis.length >= 2) for (const row of rows) row.movement = row.rank[axis.length - 2] - row.rank[axis.length - 1];
+  return { axis, rows };
+}
+
+// Highest weekly score in week i -> { names:[...], points } (ties share it), or null when nobody scored
+export function topOfWeek(timeline, i = timeline.axis.length - 1){
+  if (i < 0) return null;
+  const best = Math.max(...timeline.rows.map(r => r.weekly[i]));
+  if (!(best > 0)) return null;
+  return { week: timeline.axis[i], points: best, names: timeline.rows.filter(r => r.weekly[i] === best).map(r => r.name) };
+}
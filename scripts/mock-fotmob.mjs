@@ -0,0 +1,27 @@
+// scripts/mock-fotmob.mjs
+// Local FotMob stand-in: serves a recording directory (netlify/lib/recording.mjs) over HTTP.
+//   node scripts/mock-fotmob.mjs [--dir recordings/default] [--port 8790] [--record]
+// Point the functions at it with FOTMOB_BASE=http://localhost:8790. --record fetches anything not yet
+// recorded from fotmob.com and saves it, so one session against the proxy records everything it touched.
+
+import { parseArgs } from "node:util";
+import { mockServer, listRecordings } from "../netlify/lib/recording.mjs";
+
+const { values: args } = parseArgs({
+  options: {
+    dir:    { type: "string", default: process.env.FOTMOB_RECORDINGS || "recordings/default" },
+    port:   { type: "string", default: "8790" },
+    record: { type: "boolean", default: false }
+  }
+});
+
+const server = mockServer(args.dir, {
+  record: args.record,
+  onRequest: ({ method, url, status, hit }) => console.log(`${hit ? "hit " : args.record ? "rec " : "miss"} ${status} ${method} ${url}`)
+});
+
+server.listen(Number(args.port), async () => {
+  const n = (await listRecordings(args.dir)).length;
+  console.log(`FotMob stand-in on http://localhost:${server.address().port} serving ${n} recordings from ${args.dir}${args.record ? " (recording misses)" : ""}`);
+  console.log(`  FOTMOB_BASE=http://localhost:${server.address().port} netlify dev`);
+});
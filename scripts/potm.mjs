@@ -0,0 +1,139 @@
+// scripts/potm.mjs
+// Discover + check a roster from the command line and write the checker's downloads (Summary, Details,
+// POTM table, JSON), with no browser and no functions server: discover.mjs and check.mjs run in-process.
+//   node scripts/potm.mjs players.csv [--season 2025-26] [--leagues 47,87] [--concurrency 3] [--out out]
+//                         [--scoring starboy] [--since 2026-01-01] [--debug]
+// The roster is read like players.csv in the UI ("name,url" rows or plain player URLs; names without a URL
+// are skipped). Runs as a cron job: same roster and season -> same file names, so weeks can be diffed.
+// Exit code 0 when everything was checked, 2 when files were written but a player or match failed, 1 on bad input.
+
+import { parseArgs } from "node:util";
+import { readFile, writeFile, mkdir } from "node:fs/promises";
+import { join } from "node:path";
+import { pathToFileURL } from "node:url";
+import { resolveSeasonConfig } from "../public/lib/seasons.js";
+import { resolveProfile } from "../public/lib/scoring.js";
+import { splitRoster } from "../public/lib/roster.js";
+import { checkGroups, dedupRows } from "../public/lib/runs.js";
+import { toSummaryCSV, toDetailsCSV, toPotmOnlyCSV, toCsv, exportFileNames, resolveName } from "../public/lib/exports.js";
+import { discoverForPlayerUrl } from "../netlify/functions/discover.mjs";
+import { runBatch } from "../netlify/functions/check.mjs";
+
+const DISCOVER_MS    = 9500;    // per player, same as discover.mjs BUDGET_MS
+const DISCOVER_TRIES = 2;       // zero-match discoveries are retried once, as in the UI and jobs
+const CHECK_MS       = 30000;   // per match
+
+const USAGE = "usage: node scripts/potm.mjs <players.csv> [--season 2025-26] [--leagues 47,87] [--concurrency 3] [--out out] [--scoring starboy] [--since ISO date] [--debug]";
+
+// Run `worker` over items, at most `limit` at a time -> results in item order
+async function pool(items, limit, worker){
+  const out = new Array(items.length);
+  let i = 0;
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (i < items.length){ const k = i++; out[k] = await worker(items[k], k); }
+  });
+  await Promise.all(runners);
+  return out;
+}
+
+// roster [{ name, url }] -> { players, results, failures, debugPack }, the same results the UI's Run Checks gives:
+// one check per match for every rostered player in it, eligible rows only, fixtures deduplicated per player.
+// Rows keep fixture order, not completion order, so reruns diff cleanly.
+export async function runRoster(roster, cfg, { concurrency = 3, log = () => {} } = {}){
+  const failures = [];
+
+  const players = await pool(roster, concurrency, async (r) => {
+    let one = null, error = null;
+    for (let t = 0; t < DISCOVER_TRIES && !one?.match_urls?.length; t++){
+      try{ one = await discoverForPlayerUrl(r.url, Date.now() + DISCOVER_MS, cfg); error = null; }
+      catch(e){ error = e; }
+    }
+    if (error) failures.push({ stage: "discover", player_url: r.url, error: String(error.message || error), code: error.code || "internal" });
+    const p = { player_url: r.url, player_name: one?.player_name || r.name || null, player_id: one?.player_id || r.id || null, match_urls: one?.match_urls || [], clubs: one?.clubs || [], debug: one?.debug || null };
+    log(`discover ${resolveName(p)}: ${p.match_urls.length} matches`);
+    return p;
+  });
+
+  const groups = checkGroups(players.map(p => p.match_urls));
+  let checked = 0;
+  const byGroup = await pool(groups, concurrency, async (g) => {
+    const pairs = g.owners.map(i => ({ matchUrl: g.matchUrl, playerId: players[i].player_id, playerName: players[i].player_name || "" }));
+    const { results } = await runBatch(pairs, cfg, false, Date.now() + CHECK_MS);
+    const err = results.find(r => r?.error);
+    if (err) failures.push({ stage: "check", match_url: g.matchUrl, error: err.error, code: err.code || "internal" });
+    log(`check ${++checked}/${groups.length} ${g.matchUrl}${err ? ` failed: ${err.error}` : ""}`);
+    return results;
+  });
+
+  const rows = players.map(() => []);
+  groups.forEach((g, gi) => g.owners.forEach((pi, k) => {
+    const r = byGroup[gi][k];
+    if (r && !r.error && r.league_allowed && r.within_season) rows[pi].push(r);
+  }));
+  const results = players.map((p, i) => {
+    const raw = dedupRows(rows[i]);
+    return { player_url: p.player_url, player_name: p.player_name || raw[0]?.echo_player_name || null, raw };
+  });
+  const debugPack = players.map(p => ({ player_url: p.player_url, player_id: p.player_id, clubs: p.clubs, matches_found: p.match_urls.length, debug: p.debug }));
+  return { players, results, failures, debugPack };
+}
+
+// Writes the downloads into dir -> [file paths]
+export async function writeOutputs(dir, cfg, results, scoring, { debugPack = null } = {}){
+  await mkdir(dir, { recursive: true });
+  const names = exportFileNames(cfg.season);
+  const files = [
+    [names.summary, toCsv(toSummaryCSV(results, scoring))],
+    [names.details, toCsv(toDetailsCSV(results, scoring))],
+    [names.potm,    toCsv(toPotmOnlyCSV(results))],
+    [names.json,    JSON.stringify({ season: cfg.season, leagues: cfg.leagues, results }, null, 2)]
+  ];
+  if (debugPack) files.push(["discover_debug.json", JSON.stringify(debugPack, null, 2)]);
+  for (const [name, text] of files) await writeFile(join(dir, name), text);
+  return files.map(([name]) => join(dir, name));
+}
+
+async function main(argv){
+  let args;
+  try{
+    args = parseArgs({ args: argv, allowPositionals: true, options: {
+      season: { type: "string" }, leagues: { type: "string" }, concurrency: { type: "string", default: "3" },
+      out: { type: "string", default: "out" }, scoring: { type: "string" }, since: { type: "string" },
+      debug: { type: "boolean", default: false }, help: { type: "boolean", short: "h", default: false }
+    } });
+  }catch(e){ console.error(`${e.message}\n${USAGE}`); return 1; }
+  const { values: opt, positionals } = args;
+  if (opt.help){ console.log(USAGE); return 0; }
+  if (positionals.length !== 1){ console.error(USAGE); return 1; }
+
+  let cfg, scoring, roster;
+  try{
+    cfg = resolveSeasonConfig({ season: opt.season, leagues: opt.leagues });
+    scoring = resolveProfile(opt.scoring);
+    if (opt.since){
+      cfg.since = new Date(opt.since);
+      if (isNaN(cfg.since)) throw new Error(`Bad --since "${opt.since}" (expected an ISO date)`);
+    }
+    const concurrency = Number(opt.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error(`Bad --concurrency "${opt.concurrency}"`);
+    opt.concurrency = concurrency;
+    const { players, names } = splitRoster(await readFile(positionals[0], "utf8"));
+    if (names.length) console.error(`skipping ${names.length} rows with a name but no player URL (resolve them in the UI first)`);
+    if (!players.length) throw new Error(`No player URLs in ${positionals[0]}`);
+    roster = players;
+  }catch(e){ console.error(String(e.message || e)); return 1; }
+
+  const t0 = Date.now();
+  console.error(`${roster.length} players, ${cfg.label}, competitions ${cfg.leagues.join(",")}`);
+  const { results, failures, debugPack } = await runRoster(roster, cfg, { concurrency: opt.concurrency, log: (m) => console.error(m) });
+  const files = await writeOutputs(opt.out, cfg, results, scoring, { debugPack: opt.debug ? debugPack : null });
+
+  for (const f of failures) console.error(`failed ${f.stage} ${f.player_url || f.match_url}: ${f.code} ${f.error}`);
+  console.error(`done in ${Math.round((Date.now() - t0) / 1000)}s: ${results.length} players, ${failures.length} failures`);
+  for (const f of files) console.log(f);
+  return failures.length ? 2 : 0;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href){
+  process.exitCode = await main(process.argv.slice(2));
+}
@@ -0,0 +1,120 @@
+// test/auth.test.mjs
+// The admin secret on writes and the experts' picks tokens (netlify/lib/auth.mjs), and the functions that
+// require them, against a file store.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { adminRequired, header, expertToken } from "../netlify/lib/auth.mjs";
+import { resolveSeasonConfig } from "../public/lib/seasons.js";
+
+const tmp = mkdtempSync(join(tmpdir(), "auth-"));
+const SECRET = "s3cret-for-tests";
+const post = (body, headers = {}) => ({ httpMethod: "POST", headers, queryStringParameters: {}, body: JSON.stringify(body) });
+const admin = { "X-Admin-Secret": SECRET };
+const answer = async (p) => { const r = await p; return [r.statusCode, JSON.parse(r.body)]; };
+
+// Everything that reaches store.mjs is imported after STORE_DIR is set (it's read at import)
+const fns = {};
+let extractMatch;
+before(async () => {
+  process.env.STORE_BACKEND = "file";
+  process.env.STORE_DIR = join(tmp, "store");
+  process.env.ADMIN_SECRET = SECRET;
+  fns.cache = (await import("../netlify/functions/cache.mjs")).handler;
+  fns.runs = (await import("../netlify/functions/runs.mjs")).handler;
+  fns.roster = (await import("../netlify/functions/roster.mjs")).handler;
+  fns.picks = (await import("../netlify/functions/picks.mjs")).handler;
+  fns.jobs = (await import("../netlify/functions/jobs.mjs")).handler;
+  ({ extractMatch } = await import("../netlify/functions/check.mjs"));
+});
+after(() => { delete process.env.ADMIN_SECRET; rmSync(tmp, { recursive: true, force: true }); });
+
+test("admin secret: header in any case, wrong or missing secret refused, unset secret disables writes", () => {
+  assert.equal(header({ headers: { "X-Admin-Secret": "a" } }, "x-admin-secret"), "a");
+  assert.equal(adminRequired({ headers: admin }), null);
+  assert.equal(adminRequired({ headers: { "x-admin-secret": SECRET + "x" } }).status, 401);
+  assert.equal(adminRequired({}).code, "unauthorized");
+  delete process.env.ADMIN_SECRET;
+  try{
+    assert.deepEqual(adminRequired({ headers: admin }), { status: 503, error: "Writes are disabled until ADMIN_SECRET is set", code: "not_configured" });
+  }finally{ process.env.ADMIN_SECRET = SECRET; }
+});
+
+test("cache: stats are public, invalidation needs the secret", async () => {
+  const [code, stats] = await answer(fns.cache({ httpMethod: "GET", headers: {} }));
+  assert.equal(code, 200);
+  assert.equal(stats.entries, 0);
+  assert.deepEqual(await answer(fns.cache(post({ all: true }))), [401, { ok: false, error: "Admin secret required (x-admin-secret header)", code: "unauthorized" }]);
+  assert.deepEqual(await answer(fns.cache(post({ all: true }, admin))), [200, { ok: true, removed: 0 }]);
+});
+
+test("runs: saving a snapshot needs the secret and rows shaped like check results", async () => {
+  const dir = join(dirname(fileURLToPath(import.meta.url)), "fixtures", "matches");
+  const page = JSON.parse(readFileSync(join(dir, "own-goal.json"), "utf8"));
+  const expected = JSON.parse(readFileSync(join(dir, "own-goal.expected.json"), "utf8"));
+  const cfg = resolveSeasonConfig({ season: expected.season, leagues: expected.leagues });
+  const id = Number(Object.keys(expected.players)[0]);
+  const [row] = extractMatch(page, [{ playerId: id, playerName: "" }], { matchUrl: expected.match_url, cfg });
+  const run = (results) => ({ season: expected.season, leagues: expected.leagues, players: [], results: [{ player_url: `https://www.fotmob.com/players/${id}/x`, player_name: null, raw: results }] });
+
+  assert.equal((await answer(fns.runs(post(run([row])))))[0], 401);
+  const [code, bad] = await answer(fns.runs(post(run([{ ...row, match_url: "javascript:alert(1)", player_stats: { ...row.player_stats, goals: "<img>" } }, "x"]), admin)));
+  assert.equal(code, 400);
+  assert.deepEqual(bad.errors, [
+    "results[0].raw[0].match_url is not a FotMob match URL",
+    "results[0].raw[0].player_stats.goals must be a count",
+    "results[0].raw[1] is not a check result"
+  ]);
+  const [ok, saved] = await answer(fns.runs(post(run([row]), admin)));
+  assert.equal(ok, 200);
+  const [, latest] = await answer(fns.runs({ httpMethod: "GET", headers: {}, queryStringParameters: { season: expected.season, leagues: expected.leagues.join(",") } }));
+  assert.equal(latest.snapshot.id, saved.id);
+  assert.deepEqual(latest.snapshot.results[0].raw, [row]);
+});
+
+test("roster: only the admin replaces the saved roster", async () => {
+  const players = [{ name: "Cole Palmer", url: "https://www.fotmob.com/players/1096353/cole-palmer" }];
+  assert.equal((await answer(fns.roster(post({ players }, { "x-admin-secret": "guess" }))))[0], 401);
+  assert.equal((await fns.roster({ httpMethod: "GET", headers: {}, queryStringParameters: {} })).statusCode, 404);
+  const [code, saved] = await answer(fns.roster(post({ players }, admin)));
+  assert.deepEqual([code, saved.count], [200, 1]);
+});
+
+test("picks: imports are the admin's, entries need their expert's token, the log says who", async () => {
+  const { saveRoster } = await import("../netlify/lib/roster.mjs");
+  await saveRoster([{ name: "Cole Palmer", url: "https://www.fotmob.com/players/1096353/cole-palmer" }]);
+  const entry = { expert: "Gucciboy", players: ["Cole Palmer"] };
+  const log = async () => (await answer(fns.picks({ httpMethod: "GET", headers: {}, queryStringParameters: { log: "1" } })))[1].log;
+
+  assert.equal(expertToken("Gucciboy"), expertToken(" gucciboy "));
+  assert.notEqual(expertToken("Gucciboy"), expertToken("SportsWeb"));
+  assert.equal((await answer(fns.picks(post(entry))))[0], 401);
+  assert.equal((await answer(fns.picks(post(entry, { "x-expert-token": expertToken("SportsWeb") }))))[0], 401);
+  assert.equal((await answer(fns.picks(post({ csv: "Gucciboy,Cole Palmer" }, { "x-expert-token": expertToken("Gucciboy") }))))[0], 401);
+  assert.equal((await answer(fns.picks(post({ expert: "Gucciboy", transfer: { out: "Cole Palmer", in: "Cole Palmer" } }))))[0], 401);
+  assert.deepEqual(await log(), []);
+
+  const [code, res] = await answer(fns.picks(post(entry, { "x-expert-token": expertToken("Gucciboy") })));
+  assert.equal(code, 400);   // squad of 5 by default: refused, but logged under the expert
+  assert.match(res.errors[0], /Pick exactly 5 players/);
+  await fns.picks(post({ csv: "SportsWeb,Cole Palmer" }, admin));
+  assert.deepEqual((await log()).map(r => [r.expert, r.action, r.source, r.by]),
+    [["Gucciboy", "rejected", "form", "expert:Gucciboy"], ["SportsWeb", "rejected", "csv", "admin"]]);
+
+  assert.equal((await answer(fns.picks({ httpMethod: "GET", headers: {}, queryStringParameters: { tokens: "1" } })))[0], 401);
+  const [, t] = await answer(fns.picks({ httpMethod: "GET", headers: admin, queryStringParameters: { tokens: "1", expert: "Gucciboy,gucciboy" } }));
+  assert.deepEqual(t.tokens, [{ expert: "Gucciboy", token: expertToken("Gucciboy") }]);
+});
+
+test("jobs: starting or resuming a job needs the secret, polling doesn't", async () => {
+  const run = { urls: ["https://www.fotmob.com/players/1096353/cole-palmer"], season: "2025-26", leagues: [47] };
+  assert.equal((await answer(fns.jobs(post(run))))[0], 401);
+  const [code, job] = await answer(fns.jobs(post(run, admin)));
+  assert.deepEqual([code, job.status], [200, "queued"]);
+  assert.equal((await answer(fns.jobs(post({ id: job.id, action: "resume" }))))[0], 401);
+  assert.equal((await answer(fns.jobs(post({ id: job.id, action: "resume" }, admin))))[0], 200);
+});
@@ -0,0 +1,77 @@
+// test/browser.test.mjs
+// Headless rendering (netlify/lib/browser.mjs) against saved pages in fixtures/pages: every request is served
+// from disk, so no network. The render tests are skipped where Chromium can't be launched.
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { resolveSeasonConfig } from "../public/lib/seasons.js";
+import { extractMatch } from "../netlify/functions/check.mjs";
+import { collectMatchesFromNext } from "../netlify/functions/discover.mjs";
+import { launchBrowser, renderNext } from "../netlify/lib/browser.mjs";
+import { loadMatch, sourceOrder } from "../netlify/lib/sources.mjs";
+
+const FIX = join(dirname(fileURLToPath(import.meta.url)), "fixtures");
+const read = (...p) => readFileSync(join(FIX, ...p), "utf8");
+const matchPage = JSON.parse(read("matches", "own-goal.json"));
+const expected = JSON.parse(read("matches", "own-goal.expected.json"));
+
+// Saved pages by URL; anything else is a 404
+const SAVED = [
+  [/\/players\/961995/, () => ({ body: read("pages", "player.html") })],
+  [/\/api\/playerData\?id=961995/, () => ({ contentType: "application/json", body: read("pages", "player-data.json") })],
+  [/\/match\/4813777/, () => ({ body: read("pages", "match.html") })],
+  [/\/api\/matchDetails\?matchId=4813777/, () => ({ contentType: "application/json", body: JSON.stringify(matchPage.props.pageProps) })]
+];
+const route = (url) => SAVED.find(([re]) => re.test(url))?.[1]() ?? null;
+
+const chromium = await launchBrowser().catch(e => e);
+const skip = chromium instanceof Error ? `Chromium not available: ${chromium.message.split("\n")[0]}` : false;
+if (!skip) await chromium.close();
+
+const env = process.env.BROWSER_FALLBACK;
+afterEach(() => { if (env === undefined) delete process.env.BROWSER_FALLBACK; else process.env.BROWSER_FALLBACK = env; });
+
+test("a player page that loads its fixtures client-side: the rendered data has them", { skip }, async () => {
+  const browser = await launchBrowser();
+  try{
+    const { next, api } = await renderNext(browser, "https://www.fotmob.com/players/961995/test-forward", { route });
+    assert.deepEqual(api.map(a => new URL(a.url).pathname), ["/api/playerData"]);
+    assert.equal(next.props.pageProps.data.name, "Test Forward");
+    const found = collectMatchesFromNext(next);
+    assert.deepEqual(found.matches.map(m => [m.matchId, m.leagueId]), [[4813777, 47], [4813760, 47], [4920011, 132]]);
+    assert.equal(found.matches[0].iso, "2025-11-22T15:00:00.000Z");
+    assert.equal(found.playerId, 961995);
+  }finally{
+    await browser.close();
+  }
+});
+
+test("the browser match source gives the same extractor output as the JSON API", { skip }, async () => {
+  const cfg = resolveSeasonConfig({ season: expected.season, leagues: expected.leagues });
+  const players = Object.keys(expected.players).map(id => ({ playerId: Number(id), playerName: "" }));
+  const r = await loadMatch(4813777, { sources: ["browser"], route });
+  assert.equal(r.source, "browser");
+  assert.deepEqual(extractMatch(r.next, players, { matchUrl: expected.match_url, cfg }),
+                   extractMatch(matchPage, players, { matchUrl: expected.match_url, cfg }));
+});
+
+test("missing pages are not_found", { skip }, async () => {
+  const browser = await launchBrowser();
+  try{
+    await assert.rejects(renderNext(browser, "https://www.fotmob.com/players/1/nobody", { route }), (e) => e.code === "not_found");
+  }finally{
+    await browser.close();
+  }
+});
+
+test("the browser source is opt-in and needs time left", async () => {
+  delete process.env.BROWSER_FALLBACK;
+  assert.deepEqual(sourceOrder("match", ""), ["json", "html"]);
+  process.env.BROWSER_FALLBACK = "1";
+  assert.deepEqual(sourceOrder("player", ""), ["json", "html", "browser"]);
+  assert.deepEqual(sourceOrder("match", "browser"), ["browser"]);
+  await assert.rejects(loadMatch(1, { sources: ["browser"], deadline: Date.now() + 1000 }), (e) => e.code === "timeout");
+});
@@ -0,0 +1,113 @@
+// test/check-extract.test.mjs
+// Offline regression tests for the check.mjs extraction pipeline (no network, no store).
+// Each test/fixtures/matches/<name>.json is a saved match page's __NEXT_DATA__ (or <name>.html, the whole page);
+// <name>.expected.json names the players to check and the stats they must come out with.
+//
+//   npm test                      -> compare every fixture with its expected snapshot
+//   UPDATE_SNAPSHOTS=1 npm test   -> rewrite the "expected" blocks from the current output (review the diff!)
+//
+// New fixture: save the page, add <name>.expected.json with { match_url, season, leagues, note, players },
+// run with UPDATE_SNAPSHOTS=1 and check every number by hand against the match report.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync, writeFileSync, existsSync } from "node:fs";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { resolveSeasonConfig } from "../public/lib/seasons.js";
+import { extractMatch, extractFromEvents, extractCardsFromFacts, extractFromShotmap, nextDataFromHtml } from "../netlify/functions/check.mjs";
+
+const DIR = join(dirname(fileURLToPath(import.meta.url)), "fixtures", "matches");
+const UPDATE = Boolean(process.env.UPDATE_SNAPSHOTS);
+
+function loadPage(name){
+  const json = join(DIR, `${name}.json`);
+  if (existsSync(json)) return JSON.parse(readFileSync(json, "utf8"));
+  return nextDataFromHtml(readFileSync(join(DIR, `${name}.html`), "utf8"));
+}
+
+// What the league scores on: match identity once, then per-player flags and stats
+function snapshotOf(results){
+  const [first] = results;
+  return {
+    match: {
+      resolved_match_id: first.resolved_match_id,
+      league_id: first.league_id,
+      competition_id: first.competition_id,
+      competition_type: first.competition_type,
+      league_allowed: first.league_allowed,
+      within_season: first.within_season,
+      match_status: first.match_status,
+      match_datetime_utc: first.match_datetime_utc,
+      fixture_key: first.fixture_key,
+      potm_id: first.potm_id
+    },
+    players: Object.fromEntries(results.map(r => [String(r.player_id), {
+      name: r.echo_player_name,
+      player_is_pom: r.player_is_pom,
+      player_rating: r.player_rating,
+      player_team_id: r.player_team_id,
+      ...r.player_stats,
+      disputed_stats: r.disputed_stats
+    }]))
+  };
+}
+
+const names = readdirSync(DIR).filter(f => f.endsWith(".expected.json")).map(f => f.replace(/\.expected\.json$/, "")).sort();
+
+for (const name of names){
+  const specPath = join(DIR, `${name}.expected.json`);
+  const spec = JSON.parse(readFileSync(specPath, "utf8"));
+
+  test(`${name}: ${spec.note || "per-player stats"}`, () => {
+    const cfg = resolveSeasonConfig({ season: spec.season, leagues: spec.leagues });
+    const results = extractMatch(loadPage(name), spec.players, { matchUrl: spec.match_url, cfg });
+    const actual = snapshotOf(results);
+
+    if (UPDATE){
+      writeFileSync(specPath, JSON.stringify({ ...spec, expected: actual }, null, 2) + "\n");
+      return;
+    }
+    assert.ok(spec.expected, `${name}.expected.json has no "expected" block — run with UPDATE_SNAPSHOTS=1`);
+    assert.deepEqual(actual, spec.expected);
+  });
+}
+
+// Provenance: which block each counted stat came from, and the evidence when blocks disagree
+test("disputed-goals: stat sources and competing values", () => {
+  const spec = JSON.parse(readFileSync(join(DIR, "disputed-goals.expected.json"), "utf8"));
+  const cfg = resolveSeasonConfig({ season: spec.season, leagues: spec.leagues });
+  const [retegui, , freuler] = extractMatch(loadPage("disputed-goals"), spec.players, { matchUrl: spec.match_url, cfg });
+  assert.deepEqual(retegui.stat_sources.goals, { value: 1, source: "stats", values: { stats: 1, events: 2, shotmap: 2 }, disputed: true });
+  assert.deepEqual(freuler.stat_sources.yellow_cards, { value: 1, source: "events", values: { stats: 0, events: 1 }, disputed: true });
+  assert.equal(retegui.stat_sources.assists.disputed, false);
+});
+
+// Heuristic edge cases on bare event lists, outside any saved page
+test("events: card and penalty words must stand alone", () => {
+  const page = { events: [
+    { type: "Goal", time: 10, eventId: 1, player: { id: 7 }, description: "Scored from open play after a deflected shot" },
+    { type: "Card", time: 20, eventId: 2, card: "Yellow", player: { id: 7 }, description: "Foul on Marcus" }
+  ] };
+  assert.deepEqual(extractFromEvents(page, 7, null), { goals: 1, penalty_goals: 0, assists: 0, yellow_cards: 1, red_cards: 0 });
+});
+
+test("events: second yellow counts one yellow and one red", () => {
+  const page = { events: [
+    { type: "Card", time: 80, card: "YellowRed", player: { id: 7 } }
+  ] };
+  assert.deepEqual(extractFromEvents(page, 7, null), { goals: 0, penalty_goals: 0, assists: 0, yellow_cards: 1, red_cards: 1 });
+});
+
+test("facts and shotmap fallbacks: a yellow-red is a red, own/pen only as words", () => {
+  const facts = { bookings: [
+    { playerId: 7, card: { color: "YellowRed" } },
+    { playerId: 7, card: { color: "Yellow" }, description: "Foul on Marcus" }
+  ] };
+  assert.deepEqual(extractCardsFromFacts(facts, 7, null), { yellow: 1, red: 1 });
+  const shots = { id: 7, shotmap: [
+    { isGoal: true, situation: "OpenPlay", description: "Header from down the middle" },
+    { isGoal: true, situation: "Penalty" }
+  ] };
+  assert.deepEqual(extractFromShotmap(shots, 7, null), { goals: 2, penalty_goals: 1 });
+});
@@ -0,0 +1,49 @@
+// test/club-history.test.mjs
+// Club spells inside a season window from a player page, and which spell a fixture belongs to
+// (netlify/lib/club-history.mjs, used by discover.mjs for players who moved mid-season).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveSeasonConfig } from "../public/lib/seasons.js";
+import { clubSpellsFromNext, clubForMatch } from "../netlify/lib/club-history.mjs";
+
+const cfg = resolveSeasonConfig({ season: "2025-26" });
+
+// January loan: Brighton until the 20th, Roma after
+const loanPage = { props: { pageProps: { data: {
+  id: 1, name: "Evan Ferguson", primaryTeam: { teamId: 8686, teamName: "Roma" },
+  transfers: [
+    { fromClub: "Bohemians", fromClubId: 1548, toClub: "Brighton & Hove Albion", toClubId: 10204, transferDate: "2021-01-01T00:00:00.000Z" },
+    { fromClub: "Brighton & Hove Albion", fromClubId: 10204, toClub: "Roma", toClubId: 8686, transferDate: "2026-01-20T00:00:00.000Z", onLoan: true }
+  ]
+} } } };
+
+test("transfers: one spell per club that overlaps the season", () => {
+  const spells = clubSpellsFromNext(loanPage, cfg);
+  assert.deepEqual(spells.map(s => [s.team_id, s.team_slug, s.from?.slice(0, 10) ?? null, s.to?.slice(0, 10) ?? null]), [
+    [10204, "brighton-hove-albion", "2021-01-01", "2026-01-20"],
+    [8686, "roma", "2026-01-20", null]
+  ]);
+});
+
+test("career entries stand in when the page has no transfer list", () => {
+  const page = { data: { careerHistory: { careerItems: { senior: { teamEntries: [
+    { team: "Newcastle United", teamId: 10261, startDate: "2025-08-30T00:00:00.000Z", endDate: null },
+    { team: "Stuttgart", teamId: 10269, startDate: "2024-07-01T00:00:00.000Z", endDate: "2025-08-30T00:00:00.000Z" },
+    { team: "Werder Bremen", teamId: 8697, startDate: "2018-07-01T00:00:00.000Z", endDate: "2024-07-01T00:00:00.000Z" }
+  ] } } } } };
+  assert.deepEqual(clubSpellsFromNext(page, cfg).map(s => s.team_id), [10261, 10269]);
+});
+
+test("no history falls back to the page's team for the whole window", () => {
+  assert.deepEqual(clubSpellsFromNext({}, cfg, { id: 9825, name: "Arsenal" }),
+    [{ team_id: 9825, team_name: "Arsenal", team_slug: "arsenal", from: null, to: null }]);
+});
+
+test("fixtures are credited to the club taking part, within its dates", () => {
+  const spells = clubSpellsFromNext(loanPage, cfg);
+  assert.equal(clubForMatch(spells, { iso: "2025-12-06T15:00:00Z", homeId: 10204, awayId: 8456 })?.team_id, 10204);
+  assert.equal(clubForMatch(spells, { iso: "2026-02-01T17:00:00Z", homeId: 8686, awayId: 8636 })?.team_id, 8686);
+  assert.equal(clubForMatch(spells, { iso: "2026-03-01T14:00:00Z", homeId: null, awayId: null })?.team_id, 8686);
+  assert.equal(clubForMatch(spells, { iso: "2026-03-01T14:00:00Z", homeId: 9825, awayId: 8650 }), null);
+});
@@ -0,0 +1,51 @@
+// test/competitions.test.mjs
+// Competition tagging and per-competition scoring (public/lib/seasons.js, public/lib/scoring.js).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { competitionOf, inCompetitions } from "../public/lib/seasons.js";
+import { resolveProfile, scoreMatch, aggregateByCompetition } from "../public/lib/scoring.js";
+import { extractGeneral } from "../netlify/functions/check.mjs";
+
+const row = (competition, stats) => ({
+  ...competition, match_status: "finished", match_datetime_utc: "2025-10-01T19:00:00Z",
+  player_stats: { minutes_played: 90, full_match_played: true, ...stats }
+});
+const ucl = { league_id: 42, competition_id: 42, competition_type: "europe" };
+const faCup = { league_id: 132, competition_id: 132, competition_type: "cup" };
+const pl = { league_id: 47 };   // a row from before competitions were tagged
+
+test("rows are tagged by competition; untagged rows fall back to league_id", () => {
+  assert.deepEqual(competitionOf(row(ucl)), { id: 42, short: "UCL", name: "Champions League", type: "europe" });
+  assert.equal(competitionOf(row(pl)).type, "league");
+  assert.equal(competitionOf({ league_id: 999, league_label: "Club Friendlies" }).short, "Club Friendlies");
+  assert.equal(inCompetitions(row(ucl), ["europe"]), true);
+  assert.equal(inCompetitions(row(faCup), ["europe", 133]), false);
+  assert.equal(inCompetitions(row(faCup), [132]), true);
+});
+
+test("a cup round's own league id resolves to its parent competition", () => {
+  const general = extractGeneral({ props: { pageProps: { general: {
+    matchId: 1, leagueId: 900132, parentLeagueId: 132, leagueName: "FA Cup Qualification", matchTimeUTC: "2025-10-01T19:00:00Z",
+    homeTeam: { id: 1, name: "A" }, awayTeam: { id: 2, name: "B" }
+  } } } });
+  assert.deepEqual([general.leagueId, general.parentLeagueId], [900132, 132]);
+});
+
+test("competition weights multiply a match's points: id first, then type", () => {
+  const profile = resolveProfile({ competitions: { europe: 1.5, 132: 0.5 } });
+  assert.equal(scoreMatch(row(ucl, { goals: 1 }), profile).points, (20 + 5) * 1.5);
+  assert.deepEqual(scoreMatch(row(faCup, { goals: 1 }), profile).breakdown, { npg: 10, fmp: 2.5 });
+  assert.equal(scoreMatch(row(pl, { goals: 1 }), profile).points, 25);
+  assert.throws(() => resolveProfile({ competitions: { friendlies: 1 } }), /Unknown competition/);
+  assert.throws(() => resolveProfile({ competitions: { europe: -1 } }), /Bad weight/);
+});
+
+test("per-competition totals, in competition order", () => {
+  const list = aggregateByCompetition([row(faCup, { assists: 1 }), row(ucl, { goals: 2 }), row(pl, { goals: 1 })], resolveProfile("starboy"));
+  assert.deepEqual(list.map(c => [c.short, c.played, c.goals, c.assists, c.points]), [
+    ["PL", 1, 1, 0, 25],
+    ["UCL", 1, 2, 0, 45],
+    ["FA Cup", 1, 0, 1, 15]
+  ]);
+});
@@ -0,0 +1,112 @@
+// test/http.test.mjs
+// The shared FotMob client (netlify/lib/http.mjs): typed errors, retries and Retry-After, per-host limits,
+// metrics and the error envelope functions answer with. fetch is replaced per test; each test uses its own host.
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { request, fetchJSON, fetchHtml, setHostPolicy, httpMetrics, resetHttpMetrics, parseRetryAfter,
+         HttpError, errorEnvelope, errorStatus } from "../netlify/lib/http.mjs";
+
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; resetHttpMetrics(); });
+
+// Answers from a list, one per call: { status, body, headers } or a function (url, init) -> Response
+function mockFetch(answers){
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url: String(url), at: Date.now(), init });
+    const a = answers[Math.min(calls.length - 1, answers.length - 1)];
+    if (typeof a === "function") return a(url, init);
+    return new Response(a.body ?? "", { status: a.status ?? 200, headers: a.headers || {} });
+  };
+  return calls;
+}
+const fast = (host) => setHostPolicy(host, { min_interval_ms: 0, backoff_ms: 10, max_backoff_ms: 20 });
+
+test("typed errors: 404 is not_found and not retried", async () => {
+  fast("a.test");
+  const calls = mockFetch([{ status: 404, body: "nope" }]);
+  await assert.rejects(request("https://a.test/x"), (e) => e instanceof HttpError && e.code === "not_found" && e.status === 404);
+  assert.equal(calls.length, 1);
+  assert.deepEqual(httpMetrics()["a.test"].errors, { not_found: 1 });
+});
+
+test("429 honours Retry-After, then succeeds; the retry is counted", async () => {
+  fast("b.test");
+  const calls = mockFetch([{ status: 429, headers: { "retry-after": "0.05" } }, { status: 200, body: "{\"ok\":1}" }]);
+  assert.deepEqual(await fetchJSON("https://b.test/api"), { ok: 1 });
+  assert.equal(calls.length, 2);
+  assert.ok(calls[1].at - calls[0].at >= 45, "waited for Retry-After");
+  const m = httpMetrics()["b.test"];
+  assert.deepEqual([m.requests, m.ok, m.retries, m.errors.rate_limited], [2, 1, 1, 1]);
+});
+
+test("a Retry-After beyond the limit or the deadline is reported, not waited for", async () => {
+  fast("c.test");
+  mockFetch([{ status: 429, headers: { "retry-after": "120" } }]);
+  await assert.rejects(request("https://c.test/x"), (e) => e.code === "rate_limited" && e.retry_after_ms === 120000);
+  // the host is now cooling down: a new request fails fast instead of hitting it again
+  const calls = mockFetch([{ status: 200, body: "ok" }]);
+  await assert.rejects(request("https://c.test/y", { deadline: Date.now() + 500 }), (e) => e.code === "rate_limited" && e.retry_after_ms > 100000);
+  assert.equal(calls.length, 0);
+});
+
+test("5xx and network errors back off and retry up to the limit", async () => {
+  fast("d.test");
+  const calls = mockFetch([{ status: 502 }, () => { throw new TypeError("fetch failed"); }, { status: 200, body: "<html>ok</html>" }]);
+  const { html } = await fetchHtml("https://d.test/page");
+  assert.equal(html, "<html>ok</html>");
+  assert.equal(calls.length, 3);
+  assert.match(calls[0].init.headers.accept, /text\/html/);
+  assert.match(calls[0].init.headers["user-agent"], /Mozilla/);
+
+  mockFetch([{ status: 500 }]);
+  await assert.rejects(request("https://d.test/page", { retries: 1 }), (e) => e.code === "http_error" && e.status === 500);
+});
+
+test("timeouts abort the request", async () => {
+  fast("e.test");
+  mockFetch([(url, init) => new Promise((_, reject) => init.signal.addEventListener("abort", () => reject(Object.assign(new Error("aborted"), { name: "AbortError" }))))]);
+  await assert.rejects(request("https://e.test/slow", { timeout_ms: 30, retries: 0 }), (e) => e.code === "timeout");
+});
+
+test("parse_error for bad JSON and empty HTML", async () => {
+  fast("f.test");
+  mockFetch([{ status: 200, body: "<html>" }]);
+  await assert.rejects(fetchJSON("https://f.test/api"), (e) => e.code === "parse_error");
+  mockFetch([{ status: 200, body: "" }]);
+  await assert.rejects(fetchHtml("https://f.test/page"), (e) => e.code === "parse_error");
+});
+
+test("per-host concurrency and spacing", async () => {
+  setHostPolicy("g.test", { concurrency: 2, min_interval_ms: 20 });
+  let active = 0, peak = 0;
+  const calls = mockFetch([async () => {
+    active += 1; peak = Math.max(peak, active);
+    await new Promise(r => setTimeout(r, 30));
+    active -= 1;
+    return new Response("ok");
+  }]);
+  await Promise.all(Array.from({ length: 5 }, (_, i) => request(`https://g.test/${i}`)));
+  assert.equal(peak, 2);
+  const starts = calls.map(c => c.at).sort((a, b) => a - b);
+  for (let i = 1; i < starts.length; i++) assert.ok(starts[i] - starts[i - 1] >= 15, "requests are spaced out");
+  assert.ok(httpMetrics()["g.test"].throttled_ms > 0);
+});
+
+test("parseRetryAfter: seconds or an HTTP date", () => {
+  assert.equal(parseRetryAfter("3"), 3000);
+  assert.equal(parseRetryAfter(new Date(Date.UTC(2026, 0, 1, 0, 0, 10)).toUTCString(), Date.UTC(2026, 0, 1)), 10000);
+  assert.equal(parseRetryAfter("soon"), null);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+test("error envelope and status", () => {
+  const e = new HttpError("rate_limited", "HTTP 429 rate limited", { status: 429, url: "https://x.test/", retry_after_ms: 5000 });
+  assert.deepEqual(errorEnvelope(e), { error: "HTTP 429 rate limited", code: "rate_limited", status: 429, url: "https://x.test/", retry_after_ms: 5000 });
+  assert.equal(errorStatus(e), 429);
+  assert.equal(errorStatus(new HttpError("not_found", "x")), 404);
+  assert.equal(errorStatus(new HttpError("timeout", "x")), 504);
+  assert.deepEqual(errorEnvelope(new Error("boom")), { error: "boom", code: "internal" });
+  assert.equal(errorStatus(new Error("boom")), 500);
+});
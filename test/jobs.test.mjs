@@ -0,0 +1,49 @@
+// test/jobs.test.mjs
+// Server-side jobs (netlify/functions/jobs.mjs) over a replayed recording (recording.mjs): a player whose first
+// discover finds no matches is tried again before the job moves on to checking.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { saveRecording } from "../netlify/lib/recording.mjs";
+import { resolveSeasonConfig } from "../public/lib/seasons.js";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const page = JSON.parse(readFileSync(join(ROOT, "test", "fixtures", "matches", "own-goal.json"), "utf8"));
+const tmp = mkdtempSync(join(tmpdir(), "jobs-"));
+const rec = join(tmp, "rec");
+const JSON_HEADERS = new Headers({ "content-type": "application/json" });
+const save = (url, body) => saveRecording(rec, url, { status: 200, headers: JSON_HEADERS, body: JSON.stringify(body) });
+const PLAYER = "https://www.fotmob.com/api/playerData?id=4002";
+const fixture = { id: 4813777, leagueId: 47, matchTimeUTC: "2025-11-22T15:00:00.000Z", homeTeamId: 9937, awayTeamId: 8668 };
+
+// Imported after STORE_DIR is set (store.mjs reads it at import)
+let createJob, advanceJob;
+before(async () => {
+  process.env.FOTMOB_REPLAY = rec;
+  process.env.STORE_BACKEND = "file";
+  process.env.STORE_DIR = join(tmp, "store");
+  ({ createJob, advanceJob } = await import("../netlify/functions/jobs.mjs"));
+});
+after(() => { delete process.env.FOTMOB_REPLAY; rmSync(tmp, { recursive: true, force: true }); });
+
+test("a zero-match discovery is retried on the next step before checking starts", async () => {
+  await save(PLAYER, { id: 4002, name: "Iliman Ndiaye", recentMatches: [] });
+  await save("https://www.fotmob.com/api/matchDetails?matchId=4813777", page.props.pageProps);
+  const cfg = resolveSeasonConfig({ season: "2025-26", leagues: "47" });
+  const { id } = await createJob(["https://www.fotmob.com/players/4002/iliman-ndiaye"], cfg);
+
+  let job = await advanceJob(id, 20000);
+  assert.equal(job.status, "discovering");
+  assert.deepEqual([job.players[0].tries, job.players[0].discovered, job.progress.discover.done], [1, false, 0]);
+
+  // FotMob answers properly the second time
+  await save(PLAYER, { id: 4002, name: "Iliman Ndiaye", recentMatches: [fixture] });
+  job = await advanceJob(id, 20000);
+  assert.equal(job.status, "done");
+  assert.deepEqual([job.players[0].tries, job.progress.discover.done, job.progress.check.total], [2, 1, 1]);
+  assert.equal(job.results[0].raw.length, 1);
+});
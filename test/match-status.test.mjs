@@ -0,0 +1,23 @@
+// test/match-status.test.mjs
+// FotMob status objects -> the single match status check/discover report (netlify/lib/match-status.mjs).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyStatus } from "../netlify/lib/match-status.mjs";
+
+const cases = [
+  ["full time",            { started:true,  finished:true,  cancelled:false, reason:{ short:"FT", long:"Full-Time" } }, "finished"],
+  ["after penalties",      { started:true,  finished:true,  cancelled:false, reason:{ short:"Pen", long:"After penalties" } }, "finished"],
+  ["in play",              { started:true,  finished:false, cancelled:false, liveTime:{ short:"67’" } }, "live"],
+  ["half time",            { started:true,  finished:false, cancelled:false, reason:{ short:"HT", long:"Half-Time" } }, "live"],
+  ["not started",          { started:false, finished:false, cancelled:false }, "scheduled"],
+  ["postponed",            { started:false, finished:false, cancelled:true,  reason:{ short:"PP", long:"Postponed" } }, "postponed"],
+  ["cancelled",            { started:false, finished:false, cancelled:true,  reason:{ short:"Canc.", long:"Cancelled" } }, "cancelled"],
+  ["abandoned mid-match",  { started:true,  finished:false, cancelled:true,  reason:{ short:"Ab", long:"Abandoned" } }, "abandoned"],
+  ["awarded",              { started:false, finished:true,  awarded:true,    reason:{ short:"Aw", long:"Awarded" } }, "awarded"],
+  ["not a status object",  { utcTime:"2026-01-25T16:00:00.000Z" }, null]
+];
+
+for (const [label, st, want] of cases){
+  test(`status: ${label}`, () => assert.equal(classifyStatus(st), want));
+}
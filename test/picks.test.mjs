@@ -0,0 +1,119 @@
+// test/picks.test.mjs
+// Expert picks rules (public/lib/picks.js): squad checks, unique/max-per-club, CSV import, lock.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveRules, isLocked, validateEntry, validateTransfer, currentPlayers, currentArmbands, parsePicksCsv, clubsFromResults } from "../public/lib/picks.js";
+
+const roster = [
+  { name: "Cole Palmer",      url: "https://www.fotmob.com/players/1096353/cole-palmer",      id: 1096353 },
+  { name: "Lamine Yamal",     url: "https://www.fotmob.com/players/1467236/lamine-yamal",     id: 1467236 },
+  { name: "Michael Olise",    url: "https://www.fotmob.com/players/1021586/michael-olise",    id: 1021586 },
+  { name: "Vinícius Júnior",  url: "https://www.fotmob.com/players/1050161/vinicius-junior",  id: 1050161 },
+  { name: "Kenan Yildiz",     url: "https://www.fotmob.com/players/1311958/kenan-yildiz",     id: 1311958 }
+];
+const rules3 = resolveRules({ squad_size: 3 });
+
+test("rules: defaults, and values that can't be enforced are refused", () => {
+  assert.deepEqual(resolveRules(), { squad_size: 5, unique: false, max_per_club: null, lock_at: null, captain_multiplier: 2, transfer_windows: [] });
+  assert.equal(resolveRules({ lock_at: "2025-08-15T19:00:00Z" }).lock_at, "2025-08-15T19:00:00.000Z");
+  assert.throws(() => resolveRules({ squad_size: 0 }), /squad_size/);
+  assert.throws(() => resolveRules({ max_per_club: 1.5 }), /max_per_club/);
+  assert.throws(() => resolveRules({ lock_at: "next friday" }), /lock_at/);
+  assert.throws(() => resolveRules({ captain_multiplier: 0 }), /captain_multiplier/);
+  assert.throws(() => resolveRules({ transfer_windows: [{ opens: "2026-01-10", closes: "2026-01-01" }] }), /closes before it opens/);
+});
+
+test("entry: names (accent-insensitive) and URLs resolve to roster players", () => {
+  const { errors, players } = validateEntry(
+    { expert: "Gucciboy", players: ["vinicius junior", "https://www.fotmob.com/players/1467236/whatever", "Cole Palmer"] },
+    rules3, { roster });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(players.map(p => p.id), [1050161, 1467236, 1096353]);
+});
+
+test("entry: squad size, unknown players and duplicates", () => {
+  const { errors } = validateEntry({ expert: "", players: ["Cole Palmer", "Palmer Cole", "cole palmer", "Kenan Yildiz"] }, rules3, { roster });
+  assert.deepEqual(errors, [
+    "Expert name is required",
+    "Pick exactly 3 players (got 4)",
+    '"Palmer Cole" is not in the roster',
+    "Cole Palmer is picked twice"
+  ]);
+});
+
+test("entry: unique picks across experts, re-submitting your own entry is fine", () => {
+  const rules = resolveRules({ squad_size: 2, unique: true });
+  const others = [{ expert: "SportsWeb", players: [roster[0]] }];
+  assert.deepEqual(validateEntry({ expert: "Enzo5", players: ["Cole Palmer", "Lamine Yamal"] }, rules, { roster, others }).errors,
+    ["Cole Palmer is already picked by SportsWeb"]);
+  assert.deepEqual(validateEntry({ expert: "sportsweb", players: ["Cole Palmer", "Lamine Yamal"] }, rules, { roster, others }).errors, []);
+});
+
+test("entry: max per club uses each player's latest club", () => {
+  const clubs = clubsFromResults([
+    { player_url: roster[0].url, raw: [{ player_team_name: "Chelsea", match_datetime_utc: "2025-09-01T14:00:00Z" }] },
+    { player_url: roster[2].url, raw: [
+      { player_team_name: "Crystal Palace", match_datetime_utc: "2024-05-01T14:00:00Z" },
+      { player_team_name: "Bayern München", match_datetime_utc: "2025-09-02T14:00:00Z" }
+    ] },
+    { player_url: roster[4].url, raw: [{ player_team_name: "Bayern München", match_datetime_utc: "2025-09-03T14:00:00Z" }] }
+  ]);
+  assert.equal(clubs.get(1021586), "Bayern München");
+  const rules = resolveRules({ squad_size: 3, max_per_club: 1 });
+  assert.deepEqual(validateEntry({ expert: "x", players: ["Cole Palmer", "Michael Olise", "Kenan Yildiz"] }, rules, { roster, clubs }).errors,
+    ["2 players from Bayern München (max 1 per club)"]);
+  assert.deepEqual(validateEntry({ expert: "x", players: ["Cole Palmer", "Michael Olise", "Lamine Yamal"] }, rules, { roster, clubs }).errors, []);
+});
+
+test("entry: captain and vice-captain must be different squad players", () => {
+  const entry = { expert: "x", players: ["Cole Palmer", "Lamine Yamal", "Kenan Yildiz"] };
+  const ok = validateEntry({ ...entry, captain: "cole palmer", vice_captain: "Lamine Yamal" }, rules3, { roster });
+  assert.deepEqual([ok.errors, ok.captain.id, ok.vice_captain.id], [[], 1096353, 1467236]);
+  assert.deepEqual(validateEntry({ ...entry, captain: "Michael Olise", vice_captain: "Michael Olise" }, rules3, { roster }).errors, [
+    "Captain Michael Olise is not in the squad",
+    "Vice-captain Michael Olise is not in the squad",
+    "Captain and vice-captain must be different players"
+  ]);
+  assert.deepEqual(validateEntry({ ...entry, vice_captain: "Cole Palmer" }, rules3, { roster }).errors, ["Pick a captain before a vice-captain"]);
+});
+
+test("transfers: only in an open window, up to its limit; the incoming player inherits the armband", () => {
+  const rules = resolveRules({ squad_size: 3, transfer_windows: [{ opens: "2026-01-01", closes: "2026-02-01T23:00:00Z", max_transfers: 1 }] });
+  const [palmer, yamal, olise, , yildiz] = roster;
+  const entry = { expert: "Enzo5", players: [palmer, yamal, olise], captain: palmer, vice_captain: yamal, transfers: [] };
+  const now = "2026-01-15T12:00:00Z";
+
+  assert.deepEqual(validateTransfer(entry, { out: "Cole Palmer", in: "Kenan Yildiz" }, rules, { roster, now: "2025-12-20" }).errors, ["No transfer window is open"]);
+  assert.deepEqual(validateTransfer(entry, { out: "Kenan Yildiz", in: "Lamine Yamal" }, rules, { roster, now }).errors,
+    ['"Kenan Yildiz" is not in Enzo5\'s squad', "Lamine Yamal is already in the squad"]);
+
+  const { errors, transfer } = validateTransfer(entry, { out: "Cole Palmer", in: "Kenan Yildiz" }, rules, { roster, now });
+  assert.deepEqual(errors, []);
+  assert.deepEqual([transfer.date, transfer.window, transfer.out.id, transfer.in.id], ["2026-01-15T12:00:00.000Z", "2026-01-01T00:00:00.000Z", palmer.id, yildiz.id]);
+
+  const after = { ...entry, transfers: [transfer] };
+  assert.deepEqual(currentPlayers(after, "2026-01-16").map(p => p.name), ["Lamine Yamal", "Michael Olise", "Kenan Yildiz"]);
+  assert.deepEqual(currentPlayers(after, "2026-01-10").map(p => p.name), ["Cole Palmer", "Lamine Yamal", "Michael Olise"]);
+  assert.equal(currentArmbands(after, "2026-01-16").captain.name, "Kenan Yildiz");
+  assert.deepEqual(validateTransfer(after, { out: "Michael Olise", in: "Vinícius Júnior" }, rules, { roster, now: "2026-01-20" }).errors,
+    ["All 1 transfer(s) for this window are used"]);
+});
+
+test("csv: header, wide and long rows, quoted names", () => {
+  const csv = '\uFEFFexpert,p1,p2\r\nSportsWeb,Cole Palmer,"Yamal, Lamine"\nEnzo5,Kenan Yildiz\nenzo5,Michael Olise\n\n';
+  assert.deepEqual(parsePicksCsv(csv), [
+    { expert: "SportsWeb", players: ["Cole Palmer", "Yamal, Lamine"] },
+    { expert: "Enzo5", players: ["Kenan Yildiz", "Michael Olise"] }
+  ]);
+  assert.deepEqual(parsePicksCsv("A,Cole Palmer (C),Lamine Yamal (vc),Kenan Yildiz"), [
+    { expert: "A", players: ["Cole Palmer", "Lamine Yamal", "Kenan Yildiz"], captain: "Cole Palmer", vice_captain: "Lamine Yamal" }
+  ]);
+});
+
+test("lock: open until lock_at, closed from then on", () => {
+  const rules = resolveRules({ lock_at: "2025-08-15T19:00:00Z" });
+  assert.equal(isLocked(rules, "2025-08-15T18:59:59Z"), false);
+  assert.equal(isLocked(rules, "2025-08-15T19:00:00Z"), true);
+  assert.equal(isLocked(resolveRules(), "2030-01-01T00:00:00Z"), false);
+});
@@ -0,0 +1,71 @@
+// test/potm-cli.test.mjs
+// The command-line run (scripts/potm.mjs) end to end over a replayed recording (recording.mjs): roster ->
+// discover -> check -> the checker's downloads, with the same fixture reached by two match ids counted once.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from "node:fs";
+import { spawnSync } from "node:child_process";
+import { tmpdir } from "node:os";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { saveRecording } from "../netlify/lib/recording.mjs";
+import { resolveSeasonConfig } from "../public/lib/seasons.js";
+import { resolveProfile } from "../public/lib/scoring.js";
+import { parsePlayersCsv } from "../public/lib/roster.js";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const page = JSON.parse(readFileSync(join(ROOT, "test", "fixtures", "matches", "own-goal.json"), "utf8"));
+const tmp = mkdtempSync(join(tmpdir(), "potm-cli-"));
+const JSON_HEADERS = new Headers({ "content-type": "application/json" });
+const fixture = (id) => ({ id, leagueId: 47, matchTimeUTC: "2025-11-22T15:00:00.000Z", homeTeamId: 9937, awayTeamId: 8668 });
+
+let runRoster, writeOutputs;
+before(async () => {
+  const rec = join(tmp, "rec");
+  const save = (url, body) => saveRecording(rec, url, { status: 200, headers: JSON_HEADERS, body: JSON.stringify(body) });
+  // Ndiaye's list has the Brentford–Everton fixture under two match ids
+  await save("https://www.fotmob.com/api/playerData?id=4002", { id: 4002, name: "Iliman Ndiaye", recentMatches: [fixture(4813777), fixture(4813778)] });
+  await save("https://www.fotmob.com/api/playerData?id=4001", { id: 4001, name: "Nathan Collins", recentMatches: [fixture(4813777)] });
+  await save("https://www.fotmob.com/api/matchDetails?matchId=4813777", page.props.pageProps);
+  await save("https://www.fotmob.com/api/matchDetails?matchId=4813778", page.props.pageProps);
+  process.env.FOTMOB_REPLAY = rec;
+  process.env.STORE_DIR = join(tmp, "store");
+  ({ runRoster, writeOutputs } = await import("../scripts/potm.mjs"));
+});
+after(() => { delete process.env.FOTMOB_REPLAY; rmSync(tmp, { recursive: true, force: true }); });
+
+test("roster to Summary/Details/POTM/JSON, one row per fixture", async () => {
+  const roster = parsePlayersCsv("player name,url\nIliman Ndiaye,https://www.fotmob.com/players/4002/iliman-ndiaye\nhttps://www.fotmob.com/players/4001/nathan-collins\n");
+  const cfg = resolveSeasonConfig({ season: "2025-26", leagues: "47" });
+  const { players, results, failures } = await runRoster(roster, cfg, { concurrency: 2 });
+  assert.deepEqual(failures, []);
+  assert.deepEqual(players.map(p => p.match_urls.length), [2, 1]);
+  assert.deepEqual(results.map(p => [p.player_name, p.raw.length]), [["Iliman Ndiaye", 1], ["Nathan Collins", 1]]);
+
+  const files = await writeOutputs(join(tmp, "out"), cfg, results, resolveProfile());
+  assert.deepEqual(files.map(f => f.slice(join(tmp, "out").length + 1)),
+    ["summary_potm_stats_2025_26.csv", "details_potm_stats_2025_26.csv", "potm_table_2025_26.csv", "potm_stats_2025_26.json"]);
+  const summary = readFileSync(files[0], "utf8").split("\r\n");
+  assert.equal(summary.length, 3);
+  assert.match(summary[0], /^"player_name","played","motm","goals"/);
+  assert.match(summary[1], /^"Iliman Ndiaye","1",/);
+  const details = readFileSync(files[1], "utf8").split("\r\n");
+  assert.equal(details.length, 3);
+  assert.match(details[1], /"https:\/\/www\.fotmob\.com\/match\/4813777"/);
+  const json = JSON.parse(readFileSync(files[3], "utf8"));
+  assert.deepEqual([json.season, json.leagues, json.results.length], ["2025-26", [47], 2]);
+});
+
+test("bad input exits 1 without running", () => {
+  const csv = join(tmp, "names.csv");
+  writeFileSync(csv, "player name\nBukayo Saka\n");
+  const run = (...args) => spawnSync(process.execPath, [join(ROOT, "scripts", "potm.mjs"), ...args], { encoding: "utf8", timeout: 20000 });
+  let r = run(csv);
+  assert.equal(r.status, 1);
+  assert.match(r.stderr, /No player URLs/);
+  r = run(csv, "--season", "2025-27");
+  assert.equal(r.status, 1);
+  assert.match(r.stderr, /Bad season/);
+  assert.equal(run().status, 1);
+});
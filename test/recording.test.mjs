@@ -0,0 +1,84 @@
+// test/recording.test.mjs
+// Record/replay for the HTTP client (netlify/lib/recording.mjs): recorded responses replay byte for byte with
+// no network, misses are 404s, and the mock server serves a recording to FOTMOB_BASE.
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { resolveSeasonConfig } from "../public/lib/seasons.js";
+import { extractMatch } from "../netlify/functions/check.mjs";
+import { loadMatch } from "../netlify/lib/sources.mjs";
+import { request, fetchJSON, setHostPolicy } from "../netlify/lib/http.mjs";
+import { recordingPath, listRecordings, mockServer, onWire } from "../netlify/lib/recording.mjs";
+
+const DIR = join(dirname(fileURLToPath(import.meta.url)), "fixtures", "matches");
+const page = JSON.parse(readFileSync(join(DIR, "own-goal.json"), "utf8"));
+const expected = JSON.parse(readFileSync(join(DIR, "own-goal.expected.json"), "utf8"));
+
+setHostPolicy("www.fotmob.com", { min_interval_ms: 0, retries: 0 });
+const realFetch = globalThis.fetch;
+const dirs = [];
+const tmp = () => { const d = mkdtempSync(join(tmpdir(), "fotmob-rec-")); dirs.push(d); return d; };
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete process.env.FOTMOB_RECORD; delete process.env.FOTMOB_REPLAY; delete process.env.FOTMOB_BASE;
+  while (dirs.length) rmSync(dirs.pop(), { recursive: true, force: true });
+});
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json" } });
+
+test("record, then replay the same answers with the network gone", async () => {
+  const dir = tmp();
+  process.env.FOTMOB_RECORD = dir;
+  globalThis.fetch = async (url) => /matchId=4813777/.test(url) ? json(page.props.pageProps) : new Response("gone", { status: 404 });
+  const cfg = resolveSeasonConfig({ season: expected.season, leagues: expected.leagues });
+  const players = Object.keys(expected.players).map(id => ({ playerId: Number(id), playerName: "" }));
+  const live = await loadMatch(4813777, { sources: ["json"] });
+  await assert.rejects(request("https://www.fotmob.com/match/1"), (e) => e.code === "not_found");
+
+  const saved = JSON.parse(readFileSync(recordingPath(dir, "https://www.fotmob.com/api/matchDetails?matchId=4813777"), "utf8"));
+  assert.equal(saved.status, 200);
+  assert.equal(saved.json.general.matchId, 4813777);
+  assert.deepEqual((await listRecordings(dir)).map(r => [r.url, r.status]),
+    [["https://www.fotmob.com/api/matchDetails?matchId=4813777", 200], ["https://www.fotmob.com/match/1", 404]]);
+
+  delete process.env.FOTMOB_RECORD;
+  process.env.FOTMOB_REPLAY = dir;
+  globalThis.fetch = async () => { throw new Error("network used during replay"); };
+  const replayed = await loadMatch(4813777, { sources: ["json"] });
+  const run = (next) => extractMatch(next, players, { matchUrl: expected.match_url, cfg });
+  assert.deepEqual(run(replayed.next), run(live.next));
+  await assert.rejects(request("https://www.fotmob.com/match/1"), (e) => e.code === "not_found");
+  await assert.rejects(request("https://www.fotmob.com/match/2"), (e) => e.code === "not_found" && /Not Recorded/.test(e.message));
+});
+
+test("the mock server answers FOTMOB_BASE requests from a recording", async () => {
+  const dir = tmp();
+  process.env.FOTMOB_RECORD = dir;
+  globalThis.fetch = async () => json({ id: 30, name: "Cole Palmer" });
+  await fetchJSON("https://www.fotmob.com/api/playerData?id=30");
+  delete process.env.FOTMOB_RECORD;
+  globalThis.fetch = realFetch;
+
+  const seen = [];
+  const server = mockServer(dir, { onRequest: (r) => seen.push([r.url, r.hit]) });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  try{
+    process.env.FOTMOB_BASE = `http://127.0.0.1:${server.address().port}`;
+    assert.equal(onWire("https://www.fotmob.com/api/playerData?id=30"), `${process.env.FOTMOB_BASE}/api/playerData?id=30`);
+    assert.deepEqual(await fetchJSON("https://www.fotmob.com/api/playerData?id=30"), { id: 30, name: "Cole Palmer" });
+    await assert.rejects(request("https://www.fotmob.com/api/playerData?id=31"), (e) => e.code === "not_found");
+    assert.deepEqual(seen, [["https://www.fotmob.com/api/playerData?id=30", true], ["https://www.fotmob.com/api/playerData?id=31", false]]);
+  }finally{
+    await new Promise(r => server.close(r));
+  }
+});
+
+test("recording file names are readable and unique per URL", () => {
+  const a = recordingPath("rec", "https://www.fotmob.com/api/matches?date=20251122&timezone=Europe/London");
+  assert.match(a, /^rec\/www\.fotmob\.com\/api_matches_date=20251122_timezone=Europe_London\.[0-9a-f]{8}\.json$/);
+  assert.notEqual(recordingPath("rec", "https://www.fotmob.com/a/b"), recordingPath("rec", "https://www.fotmob.com/a_b"));
+});
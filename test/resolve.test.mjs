@@ -0,0 +1,48 @@
+// test/resolve.test.mjs
+// Name -> FotMob player candidates (netlify/functions/resolve.mjs) on a saved search response, no network.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSuggestions, rankCandidates } from "../netlify/functions/resolve.mjs";
+import { splitRoster } from "../public/lib/roster.js";
+
+// Shape of /api/search/suggest: groups of typed suggestions
+const suggest = [
+  { title: { key: "players", value: "Players" }, suggestions: [
+    { type: "player", id: "1053398", name: "Julián Álvarez", teamId: 9906, teamName: "Atletico Madrid", isCoach: false, score: 912 },
+    { type: "player", id: "1337512", name: "Julián Álvarez", teamId: 10077, teamName: "Defensa y Justicia", isCoach: false, score: 304 },
+    { type: "player", id: "1101", name: "Julián Alvarez Rojas", teamId: 1, teamName: "Somewhere FC", isCoach: false, score: 101 },
+    { type: "player", id: "99", name: "Julio Álvarez", isCoach: true }
+  ] },
+  { title: { key: "teams", value: "Teams" }, suggestions: [{ type: "team", id: "9906", name: "Atletico Madrid" }] }
+];
+
+test("suggest: players only, with profile URLs", () => {
+  const list = parseSuggestions(suggest);
+  assert.deepEqual(list.map(c => c.id), [1053398, 1337512, 1101]);
+  assert.equal(list[0].url, "https://www.fotmob.com/players/1053398/julian-alvarez");
+  assert.equal(list[0].team_name, "Atletico Madrid");
+});
+
+test("two exact accent-insensitive matches: no automatic pick", () => {
+  const { candidates, best } = rankCandidates("Julian Alvarez", parseSuggestions(suggest));
+  assert.deepEqual(candidates.map(c => c.match), [3, 3, 2]);
+  assert.equal(best, null);
+});
+
+test("one exact match is picked, nicknames keep FotMob's order", () => {
+  const list = parseSuggestions([{ suggestions: [
+    { type: "player", id: "1", name: "Vinícius Júnior", teamId: 8633, teamName: "Real Madrid" },
+    { type: "player", id: "2", name: "Vinicius Tobias", teamId: 8633, teamName: "Real Madrid" }
+  ] }]);
+  assert.equal(rankCandidates("vinicius junior", list).best, 1);
+  const nick = rankCandidates("Vini Jr", list);
+  assert.equal(nick.best, null);
+  assert.deepEqual(nick.candidates.map(c => c.id), [1, 2]);
+});
+
+test("roster rows: URLs parsed, bare names kept for resolving", () => {
+  const { players, names } = splitRoster("player name,url\nAlex Baena,https://www.fotmob.com/players/942372/alex-baena\nVini Jr,\n\"Julián Álvarez\"\njulian alvarez\n");
+  assert.deepEqual(players.map(p => p.id), [942372]);
+  assert.deepEqual(names, ["Vini Jr", "Julián Álvarez"]);
+});
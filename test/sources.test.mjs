@@ -0,0 +1,83 @@
+// test/sources.test.mjs
+// Match and player data from the JSON API or the page (netlify/lib/sources.mjs): the extractors give the
+// same rows whichever source served them, fallback order, and which source is reported.
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { resolveSeasonConfig } from "../public/lib/seasons.js";
+import { extractMatch } from "../netlify/functions/check.mjs";
+import { loadMatch, loadPlayer, sourceOrder, nextDataFromHtml } from "../netlify/lib/sources.mjs";
+import { setHostPolicy, resetHttpMetrics, errorEnvelope } from "../netlify/lib/http.mjs";
+
+const DIR = join(dirname(fileURLToPath(import.meta.url)), "fixtures", "matches");
+const page = JSON.parse(readFileSync(join(DIR, "own-goal.json"), "utf8"));
+const expected = JSON.parse(readFileSync(join(DIR, "own-goal.expected.json"), "utf8"));
+const html = `<html><body><script id="__NEXT_DATA__" type="application/json">${JSON.stringify(page)}</script></body></html>`;
+
+setHostPolicy("www.fotmob.com", { min_interval_ms: 0, backoff_ms: 5, max_backoff_ms: 10 });
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; resetHttpMetrics(); });
+
+// routes: [[RegExp, { status, body, headers }]]; unmatched URLs are 404
+function mockFetch(routes){
+  const calls = [];
+  globalThis.fetch = async (url) => {
+    calls.push(String(url));
+    const hit = routes.find(([re]) => re.test(String(url)));
+    const a = hit ? hit[1] : { status: 404 };
+    return new Response(a.body ?? "", { status: a.status ?? 200, headers: a.headers || {} });
+  };
+  return calls;
+}
+
+test("the match JSON API and the match page give identical extractor output", async () => {
+  mockFetch([[/api\/matchDetails/, { body: JSON.stringify(page.props.pageProps) }], [/\/match\//, { body: html }]]);
+  const cfg = resolveSeasonConfig({ season: expected.season, leagues: expected.leagues });
+  const players = Object.keys(expected.players).map(id => ({ playerId: Number(id), playerName: "" }));
+  const fromJson = await loadMatch(1, { sources: ["json"] });
+  const fromHtml = await loadMatch(1, { sources: ["html"] });
+  assert.equal(fromJson.source, "json");
+  assert.equal(fromHtml.source, "html");
+  const run = (next) => extractMatch(next, players, { matchUrl: expected.match_url, cfg });
+  assert.deepEqual(run(fromJson.next), run(fromHtml.next));
+});
+
+test("falls back to the page when the JSON API is missing or unreadable, and says so", async () => {
+  let calls = mockFetch([[/api\/matchDetails/, { status: 403, body: "forbidden" }], [/\/match\//, { body: html }]]);
+  let r = await loadMatch(7);
+  assert.equal(r.source, "html");
+  assert.deepEqual(r.attempts.map(a => [a.source, a.code]), [["json", "http_error"]]);
+  assert.deepEqual(calls, ["https://www.fotmob.com/api/matchDetails?matchId=7", "https://www.fotmob.com/match/7"]);
+
+  mockFetch([[/api\/matchDetails/, { body: "{}" }], [/\/match\//, { body: html }]]);
+  r = await loadMatch(7);
+  assert.deepEqual([r.source, r.attempts[0].code], ["html", "parse_error"]);
+});
+
+test("a rate limit stops the fallback; when every source fails the error lists each attempt", async () => {
+  const calls = mockFetch([[/api\/matchDetails/, { status: 429, headers: { "retry-after": "0.05" } }], [/\/match\//, { body: html }]]);
+  await assert.rejects(loadMatch(8, { retries: 0 }), (e) => e.code === "rate_limited");
+  assert.equal(calls.length, 1);
+
+  mockFetch([[/api\/playerData/, { body: "[]" }], [/\/players\//, { body: "<html>no data</html>" }]]);
+  const err = await loadPlayer(30).catch(e => e);
+  assert.equal(err.code, "parse_error");
+  assert.deepEqual(errorEnvelope(err).attempts.map(a => [a.source, a.code]), [["json", "parse_error"], ["html", "parse_error"]]);
+});
+
+test("player data: the JSON API body is wrapped like the page's pageProps.data", async () => {
+  mockFetch([[/api\/playerData\?id=30/, { body: JSON.stringify({ id: 30, name: "Cole Palmer", primaryTeam: { teamId: 8455 } }) }]]);
+  const r = await loadPlayer(30, { sources: "json" });
+  assert.equal(r.source, "json");
+  assert.deepEqual(r.next.props.pageProps.data.primaryTeam, { teamId: 8455 });
+});
+
+test("sourceOrder: configured order, unknown ids ignored, default every source", () => {
+  assert.deepEqual(sourceOrder("match", "html,json"), ["html", "json"]);
+  assert.deepEqual(sourceOrder("match", ["HTML", "pdf"]), ["html"]);
+  assert.deepEqual(sourceOrder("match", ""), ["json", "html"]);
+  assert.throws(() => nextDataFromHtml("<html></html>"), (e) => e.code === "parse_error");
+});
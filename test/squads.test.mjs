@@ -0,0 +1,54 @@
+// test/squads.test.mjs
+// Expert squad scoring from dated rows (public/lib/squads.js): captain x2, vice-captain fallback, transfers.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scoreSquad, squadAt } from "../public/lib/squads.js";
+import { resolveProfile } from "../public/lib/scoring.js";
+
+const starboy = resolveProfile("starboy");
+const played = (iso, stats = {}) => ({ match_datetime_utc: iso, match_status: "finished", player_stats: { minutes_played: 70, ...stats } });
+const benched = (iso) => ({ match_datetime_utc: iso, match_status: "finished", player_stats: {} });
+
+// GW of 2025-08-12 (Tue–Mon) and of 2025-08-19
+const rows = {
+  cap:  [played("2025-08-16T14:00:00Z", { goals: 1 }), benched("2025-08-23T14:00:00Z")],
+  vice: [played("2025-08-17T14:00:00Z", { assists: 1 }), played("2025-08-24T14:00:00Z", { goals: 1 })],
+  out:  [played("2025-08-16T16:00:00Z", { goals: 1 }), played("2025-08-30T16:00:00Z", { goals: 1 })],
+  in:   [played("2025-08-16T16:00:00Z", { goals: 2 }), played("2025-08-30T16:00:00Z", { assists: 1 })]
+};
+const rowsFor = (k) => rows[k] || [];
+
+test("captain doubles; the vice-captain doubles in a gameweek the captain didn't play", () => {
+  const r = scoreSquad({ players: ["cap", "vice"], captain: "cap", vice_captain: "vice" }, rowsFor, starboy);
+  // GW1: cap 20x2 + vice 10; GW2: cap benched -> vice 20x2
+  assert.equal(r.total, 40 + 10 + 40);
+  assert.deepEqual(r.captaincy, [
+    { week: "2025-08-12", key: "cap", role: "captain" },
+    { week: "2025-08-19", key: "vice", role: "vice_captain" }
+  ]);
+  assert.deepEqual(r.players.find(p => p.key === "vice"), { key: "vice", points: 30, bonus: 20, matches: 2 });
+  assert.deepEqual(Object.fromEntries(r.weeks), { "2025-08-12": 50, "2025-08-19": 40 });
+});
+
+test("no armbands: a flat sum of the dated rows", () => {
+  assert.equal(scoreSquad({ players: ["cap", "vice"] }, rowsFor, starboy, { multiplier: 3 }).total, 20 + 10 + 20);
+});
+
+test("transfers: the outgoing player scores before the date, the incoming one after; armband passes over", () => {
+  const squad = { players: ["cap", "out"], captain: "out", transfers: [{ date: "2025-08-20T00:00:00Z", out: "out", in: "in" }] };
+  const r = scoreSquad(squad, rowsFor, starboy);
+  // out: GW1 goal 20 as captain (x2); in: only the 08-30 assist, as captain (x2); cap: GW1 goal
+  assert.equal(r.total, 40 + 20 + 20);
+  assert.deepEqual(r.captaincy.map(c => c.key), ["out", "in"]);
+  assert.deepEqual(squadAt(squad, "2025-08-25"), ["cap", "in"]);
+  assert.deepEqual(squadAt(squad, "2025-08-19"), ["cap", "out"]);
+});
+
+test("pending and undated rows never score", () => {
+  const r = scoreSquad({ players: ["x"], captain: "x" }, () => [
+    { ...played("2025-08-16T14:00:00Z", { goals: 1 }), match_status: "live" },
+    played(null, { goals: 1 })
+  ], starboy);
+  assert.equal(r.total, 0);
+});
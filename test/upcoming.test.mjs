@@ -0,0 +1,88 @@
+// test/upcoming.test.mjs
+// Fixtures ahead for rostered players' clubs, the experts behind each pick, and blank/postponed weeks
+// (netlify/lib/upcoming.mjs, used by functions/upcoming.mjs).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { planFixtures, plannerExperts } from "../netlify/lib/upcoming.mjs";
+import { teamsFromResults, clubsFromResults } from "../public/lib/picks.js";
+
+const now = new Date("2026-10-20T12:00:00Z");   // a Tuesday
+const match = (matchId, iso, homeId, awayId, status = "scheduled", leagueName = "Premier League") =>
+  ({ matchId, leagueId: 47, leagueName, iso, homeId, awayId, homeName: `Team ${homeId}`, awayName: `Team ${awayId}`, status });
+
+const players = [
+  { name: "Cole Palmer", id: 1, team_id: 8455, team_name: "Chelsea" },
+  { name: "Mohamed Salah", id: 2, team_id: 8650, team_name: "Liverpool" },
+  { name: "Bukayo Saka", id: 3, team_id: 9825, team_name: "Arsenal" },
+  { name: "Michael Olise", id: 4, team_id: 9823, team_name: "Bayern München" },
+  { name: "New Signing", id: 5, team_id: null, team_name: null }
+];
+const experts = [
+  { expert: "SportsWeb", players: ["Cole Palmer", "Michael Olise"] },
+  { expert: "Gucciboy", players: ["cole palmer", "Mohamed Salah"] }
+];
+
+test("planFixtures: fixtures in kickoff order with home/away, opponent and the experts who picked each player", () => {
+  const plan = planFixtures({ now, experts, players, matches: [
+    match(11, "2026-10-25T15:30:00Z", 8650, 8455),
+    match(10, "2026-10-21T19:00:00Z", 8455, 1111, "scheduled", "Champions League"),
+    match(12, "2026-10-22T19:00:00Z", 2222, 3333)   // nobody rostered
+  ] });
+  assert.equal(plan.from, "2026-10-20");
+  assert.equal(plan.week_to, "2026-10-27");
+  assert.deepEqual(plan.fixtures.map(f => [f.match_id, f.competition]), [[10, "Champions League"], [11, "Premier League"]]);
+  assert.deepEqual(plan.fixtures[0].players, [{ name: "Cole Palmer", home_away: "home", opponent: "Team 1111", experts: ["SportsWeb", "Gucciboy"] }]);
+  assert.deepEqual(plan.fixtures[1].players.map(p => [p.name, p.home_away, p.opponent, p.experts]), [
+    ["Mohamed Salah", "home", "Team 8455", ["Gucciboy"]],
+    ["Cole Palmer", "away", "Team 8650", ["SportsWeb", "Gucciboy"]]
+  ]);
+  assert.equal(plan.fixtures[1].match_url, "https://www.fotmob.com/match/11");
+});
+
+test("planFixtures: blank and postponed weeks, unknown clubs", () => {
+  const plan = planFixtures({ now, experts, players, matches: [
+    match(20, "2026-10-21T19:00:00Z", 8455, 8650),
+    match(21, "2026-10-25T14:00:00Z", 9825, 1111, "postponed"),
+    match(22, "2026-10-29T19:00:00Z", 9823, 1111, "scheduled", "Bundesliga")   // after this week
+  ] });
+  const byName = Object.fromEntries(plan.players.map(p => [p.name, p]));
+  assert.deepEqual([byName["Cole Palmer"].blank, byName["Cole Palmer"].postponed, byName["Cole Palmer"].next], [false, false, "2026-10-21T19:00:00Z"]);
+  assert.deepEqual([byName["Bukayo Saka"].blank, byName["Bukayo Saka"].postponed], [true, true]);
+  assert.deepEqual([byName["Michael Olise"].blank, byName["Michael Olise"].fixtures], [true, 0]);   // outside the 7-day list
+  assert.deepEqual([byName["New Signing"].blank, byName["New Signing"].unknown_club], [false, true]);
+  assert.deepEqual(plan.fixtures.map(f => [f.match_id, f.status]), [[20, "scheduled"], [21, "postponed"]]);
+});
+
+test("planFixtures: a longer window lists later fixtures; finished and past matches are left out, live ones kept", () => {
+  const plan = planFixtures({ now, experts, players, days: 14, matches: [
+    match(30, "2026-10-20T11:00:00Z", 8455, 1111, "live"),
+    match(31, "2026-10-20T09:00:00Z", 8650, 1111, "finished"),
+    match(32, "2026-10-20T10:00:00Z", 9825, 1111, "scheduled"),
+    match(33, "2026-10-29T19:00:00Z", 9823, 1111)
+  ] });
+  assert.deepEqual(plan.fixtures.map(f => f.match_id), [30, 33]);
+  assert.equal(plan.to, "2026-11-03");
+  const byName = Object.fromEntries(plan.players.map(p => [p.name, p]));
+  assert.equal(byName["Cole Palmer"].blank, false);
+  assert.equal(byName["Michael Olise"].blank, true);   // next fixture is after this week
+  assert.equal(byName["Michael Olise"].fixtures, 1);
+});
+
+test("teamsFromResults: latest club per player id", () => {
+  const results = [{ player_url: "https://www.fotmob.com/players/1/cole-palmer", raw: [
+    { match_datetime_utc: "2025-08-01T15:00:00Z", player_team_id: 10204, player_team_name: "Brighton" },
+    { match_datetime_utc: "2026-02-01T15:00:00Z", player_team_id: 8455, player_team_name: "Chelsea" }
+  ] }];
+  assert.deepEqual(teamsFromResults(results).get(1), { team_id: 8455, team_name: "Chelsea" });
+  assert.equal(clubsFromResults(results).get(1), "Chelsea");
+});
+
+test("plannerExperts: picks.html entries before and after the lock, else league.json experts", () => {
+  const entries = [{ expert: "SportsWeb", players: [{ name: "Cole Palmer", url: "https://www.fotmob.com/players/1/cole-palmer", id: 1 }], transfers: [] }];
+  const league = { experts, picks: { squad_size: 1, lock_at: "2026-10-25T11:30:00Z" } };
+  const open = plannerExperts(entries, league, now);
+  assert.deepEqual(open, { experts: [{ expert: "SportsWeb", players: ["Cole Palmer"] }], picks_locked: false });
+  assert.equal(plannerExperts(entries, league, new Date("2026-10-26T00:00:00Z")).picks_locked, true);
+  assert.deepEqual(plannerExperts([], league, now), { experts, picks_locked: null });
+});
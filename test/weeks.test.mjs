@@ -0,0 +1,53 @@
+// test/weeks.test.mjs
+// Week buckets, weekly/cumulative series, rank movement and week winners (public/lib/weeks.js).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { weekStart, pointsByWeek, sumWeeks, buildTimeline, topOfWeek } from "../public/lib/weeks.js";
+import { resolveProfile } from "../public/lib/scoring.js";
+
+const starboy = resolveProfile("starboy");
+const row = (iso, stats, extra = {}) => ({ match_datetime_utc: iso, match_status: "finished", player_stats: { minutes_played: 90, ...stats }, ...extra });
+
+test("gameweeks run Tuesday–Monday, calendar weeks Monday–Sunday (UTC)", () => {
+  assert.equal(weekStart("2025-08-15T19:00:00Z"), "2025-08-12");              // Friday
+  assert.equal(weekStart("2025-08-18T19:00:00Z"), "2025-08-12");              // Monday night: same round
+  assert.equal(weekStart("2025-08-19T18:45:00Z"), "2025-08-19");              // Tuesday: next one
+  assert.equal(weekStart("2025-08-18T19:00:00Z", "calendar"), "2025-08-18");
+  assert.equal(weekStart("2025-08-17T23:30:00+00:00", "calendar"), "2025-08-11");
+  assert.equal(weekStart(null), null);
+});
+
+test("only finished appearances score, bucketed by kickoff week", () => {
+  const weeks = pointsByWeek([
+    row("2025-08-16T14:00:00Z", { goals: 1 }),
+    row("2025-08-18T19:00:00Z", { assists: 1 }),
+    row("2025-08-23T14:00:00Z", { goals: 2 }, { match_status: "live" }),
+    row("2025-08-30T14:00:00Z", { minutes_played: 0 }),
+    row("2025-09-13T14:00:00Z", { yellow_cards: 1 })
+  ], starboy);
+  assert.deepEqual(Object.fromEntries(weeks), { "2025-08-12": 30, "2025-09-09": -5 });
+});
+
+test("timeline: blank weeks filled, cumulative ranks with ties, movement over the last week", () => {
+  const a = new Map([["2025-08-12", 30], ["2025-08-26", 5]]);
+  const b = new Map([["2025-08-12", 10], ["2025-08-19", 20], ["2025-08-26", 20]]);
+  const c = new Map([["2025-08-19", 30]]);
+  const { axis, rows } = buildTimeline([{ name: "A", weeks: a }, { name: "B", weeks: b }, { name: "C", weeks: c }]);
+  assert.deepEqual(axis.map(w => w.label), ["GW1", "GW2", "GW3"]);
+  assert.deepEqual(rows[1].weekly, [10, 20, 20]);
+  assert.deepEqual(rows[1].cumulative, [10, 30, 50]);
+  assert.deepEqual(rows.map(r => r.rank), [[1, 1, 2], [2, 1, 1], [3, 1, 3]]);
+  assert.deepEqual(rows.map(r => r.movement), [-1, 0, -2]);
+
+  const top = topOfWeek({ axis, rows });
+  assert.deepEqual([top.names, top.points, top.week.key], [["B"], 20, "2025-08-26"]);
+});
+
+test("experts sum their players' weeks; calendar labels are ISO week numbers", () => {
+  const weeks = sumWeeks([new Map([["2025-08-11", 5]]), new Map([["2025-08-11", 10], ["2025-08-18", 3]])]);
+  const { axis, rows } = buildTimeline([{ name: "X", weeks }], "calendar");
+  assert.deepEqual(axis.map(w => w.label), ["W33", "W34"]);
+  assert.deepEqual(rows[0].weekly, [15, 3]);
+  assert.equal(topOfWeek(buildTimeline([{ name: "X", weeks: new Map() }])), null);
+});